@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { mkdir, mkdtemp, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createSessionFromIssue, getSessionStatus, refineSession } from '../lib/issue-sessions.js';
+import { listInstallations } from '../lib/installations.js';
+import { setAgentLinearClientFactory } from '../lib/linear-oauth.js';
+import { createMockLinearClient } from '../lib/linear-mock.js';
+import { getTeamConfig } from '../lib/team-config.js';
+import { formatPathMapping, mapV0Files } from '../lib/path-mapping.js';
+import { isGitHubConfigured } from '../lib/github.js';
+import { loadWebhookRecordings } from '../middleware/webhook-record.js';
+import { configureLogger } from '../lib/logger.js';
+
+/**
+ * linear-agent-v0 CLI
+ *
+ * Operate the agent locally, without the HTTP server:
+ *
+ *   linear-agent-v0 generate SYS-353
+ *   linear-agent-v0 refine <chatId> "Make the header sticky"
+ *   linear-agent-v0 refine --issue SYS-353 "Make the header sticky"
+ *   linear-agent-v0 files <chatId> --out ./v0-files [--map]
+ *   linear-agent-v0 replay-webhook created.json prompted.json [--labels executor:v0,ui]
+ *   linear-agent-v0 replay-webhook data/webhook-recordings
+ *   linear-agent-v0 install-status
+ *
+ * generate/refine/files use LINEAR_API_KEY and V0_CLIENT_MODE like the MCP
+ * server (see lib/issue-sessions.js) and record sessions in chat history.
+ * files lists the files of the chat's last message; V0 only returns files
+ * with each message, so they're read from chat history.
+ * replay-webhook runs captured payloads through handleLinearWebhook() with
+ * a mock Linear client and mock V0, in a throwaway state directory.
+ *
+ * Results go to stdout (`--json` for machine-readable output); logs go to
+ * stderr, warnings and errors only unless LOG_LEVEL is set.
+ */
+
+// Keep stdout for command output, so it can be piped
+configureLogger({ stream: process.stderr, level: process.env.LOG_LEVEL || 'warn' });
+
+const COMMANDS = {
+    generate: {
+        usage: 'generate <issue> [--json]',
+        description: 'Start a V0 chat from a Linear issue',
+        options: { json: { type: 'boolean' } },
+        run: generateCommand
+    },
+    refine: {
+        usage: 'refine <chatId> <feedback> | refine --issue <issue> <feedback> [--json]',
+        description: 'Send refinement feedback to a V0 chat',
+        options: { issue: { type: 'string' }, json: { type: 'boolean' } },
+        run: refineCommand
+    },
+    files: {
+        usage: 'files <chatId> | files --issue <issue> [--out <dir>] [--map] [--team <key>] [--json]',
+        description: 'List or write out the files of a V0 chat\'s last message (--map applies the team path mapping)',
+        options: {
+            issue: { type: 'string' },
+            out: { type: 'string' },
+            map: { type: 'boolean' },
+            team: { type: 'string' },
+            json: { type: 'boolean' }
+        },
+        run: filesCommand
+    },
+    'replay-webhook': {
+        usage: 'replay-webhook <fixture.json|dir...> [--labels <a,b>] [--team <key>] [--v0 <mode>] [--state-dir <dir>] [--timeout <ms>] [--live-linear] [--github]',
+        description: 'Run captured webhook payloads through the handler against mock clients',
+        options: {
+            labels: { type: 'string' },
+            team: { type: 'string' },
+            v0: { type: 'string', default: 'mock' },
+            'state-dir': { type: 'string' },
+            timeout: { type: 'string', default: '120000' },
+            'live-linear': { type: 'boolean' },
+            github: { type: 'boolean' }
+        },
+        run: replayWebhookCommand
+    },
+    'install-status': {
+        usage: 'install-status [--json]',
+        description: 'Show workspace installations and token expiry',
+        options: { json: { type: 'boolean' } },
+        run: installStatusCommand
+    }
+};
+
+/**
+ * generate <issue>
+ */
+async function generateCommand({ positionals: [issueId], values }) {
+    if (!issueId) {
+        throw new UsageError('generate needs an issue identifier (e.g. SYS-353)');
+    }
+
+    const { issue, record, v0Session } = await createSessionFromIssue(issueId, { source: 'cli' });
+
+    output(values.json, {
+        sessionId: record.sessionId,
+        chatId: v0Session.chatId,
+        demoUrl: v0Session.demoUrl,
+        issueIdentifier: issue.identifier,
+        files: v0Session.files.map(f => f.path)
+    }, [
+        `Created V0 chat ${v0Session.chatId} for ${issue.identifier} (${issue.title})`,
+        `Session: ${record.sessionId}`,
+        `Demo: ${v0Session.demoUrl}`,
+        formatFileList(v0Session.files)
+    ]);
+}
+
+/**
+ * refine <chatId> <feedback> | refine --issue <issue> <feedback>
+ */
+async function refineCommand({ positionals, values }) {
+    const [chatId, ...rest] = values.issue ? [undefined, ...positionals] : positionals;
+    const feedback = rest.join(' ').trim();
+
+    if ((!chatId && !values.issue) || !feedback) {
+        throw new UsageError('refine needs a chat ID (or --issue) and feedback');
+    }
+
+    const { record, v0Session, changes } = await refineSession({ chatId, issueId: values.issue, feedback });
+
+    output(values.json, {
+        sessionId: record?.sessionId || null,
+        chatId: v0Session.chatId,
+        demoUrl: v0Session.demoUrl,
+        iteration: record?.iterations.length || null,
+        files: v0Session.files.map(f => f.path),
+        changes
+    }, [
+        `Refined V0 chat ${v0Session.chatId}` + (record ? ` (iteration ${record.iterations.length})` : ' (not in chat history)'),
+        `Demo: ${v0Session.demoUrl}`,
+        changes || formatFileList(v0Session.files)
+    ]);
+}
+
+/**
+ * files <chatId> | files --issue <issue>
+ */
+async function filesCommand({ positionals: [chatId], values }) {
+    if (!chatId && !values.issue) {
+        throw new UsageError('files needs a chat ID (or --issue)');
+    }
+
+    const status = await getSessionStatus({ chatId, issueId: values.issue });
+    let files = status.files;
+    let mappingSummary = null;
+
+    if (values.map) {
+        const teamKey = values.team || status.record?.teamKey || status.record?.issueIdentifier?.split('-')[0];
+        const mapping = mapV0Files(files, getTeamConfig(teamKey, status.record?.project).pathMapping);
+        files = mapping.files;
+        mappingSummary = formatPathMapping(mapping);
+    }
+
+    if (values.out) {
+        const outDir = path.resolve(values.out);
+
+        for (const file of files) {
+            const target = path.resolve(outDir, file.path);
+
+            // V0 chooses the paths - never write outside --out
+            if (!target.startsWith(outDir + path.sep)) {
+                throw new Error(`Refusing to write ${file.path} outside ${outDir}`);
+            }
+
+            await mkdir(path.dirname(target), { recursive: true });
+            await writeFile(target, file.content);
+        }
+    }
+
+    output(values.json, {
+        chatId: status.chatId,
+        demoUrl: status.demoUrl,
+        out: values.out ? path.resolve(values.out) : null,
+        files: values.out ? files.map(f => f.path) : files
+    }, [
+        `V0 chat ${status.chatId}` + (status.record ? ` (${status.record.issueIdentifier || status.record.issueId})` : ''),
+        ...(mappingSummary ? [`Path mapping:\n${indent(mappingSummary)}`] : []),
+        values.out ? `Wrote ${files.length} file(s) to ${path.resolve(values.out)}` : formatFileList(files)
+    ]);
+}
+
+/**
+ * replay-webhook <fixture.json...>
+ *
+ * Payloads run in order (a file may hold one payload or an array; see
+ * loadWebhookRecordings() for recordings), each followed by the background
+ * jobs it queued, so a `created` + `prompted` pair replays a whole
+ * conversation.
+ */
+async function replayWebhookCommand({ positionals: fixtures, values }) {
+    if (fixtures.length === 0) {
+        throw new UsageError('replay-webhook needs at least one fixture file');
+    }
+
+    const timeoutMs = parseInt(values.timeout, 10);
+    const payloads = (await loadWebhookRecordings(fixtures)).map(recording => recording.body);
+
+    // Isolated state, so replays never touch (or resume) real sessions and jobs.
+    // Set before the webhook modules load - they read these on first use.
+    const stateDir = path.resolve(values['state-dir'] || await mkdtemp(path.join(os.tmpdir(), 'linear-agent-v0-replay-')));
+    process.env.CHAT_HISTORY_DIR = path.join(stateDir, 'chat-history');
+    process.env.JOB_QUEUE_DIR = path.join(stateDir, 'jobs');
+    process.env.V0_CLIENT_MODE = values.v0;
+
+    if (!values.github) {
+        delete process.env.GITHUB_TOKEN;
+    }
+
+    let linearClient = null;
+    if (!values['live-linear']) {
+        process.env.INSTALLATIONS_DIR = path.join(stateDir, 'installations');
+        process.env.LINEAR_ACCESS_TOKEN ||= 'mock-linear-token';
+
+        linearClient = createMockLinearClient({ onCall: printLinearCall });
+        for (const payload of payloads) {
+            const issue = payload.data?.agentSession?.issue;
+            if (issue) {
+                linearClient.addIssue(mockIssue(issue, values));
+            }
+        }
+        setAgentLinearClientFactory(() => linearClient);
+    }
+
+    const { handleLinearWebhook } = await import('../lib/linear-webhook.js');
+    const { getJobQueue } = await import('../lib/job-queue.js');
+    const queue = getJobQueue();
+    await queue.start();
+
+    try {
+        for (const [index, payload] of payloads.entries()) {
+            process.stdout.write(`\n▶ [${index + 1}/${payloads.length}] ${payload.type}.${payload.action}\n`);
+
+            const result = await handleLinearWebhook(payload);
+            process.stdout.write(`  → ${result.success ? 'ok' : 'failed'}: ${result.message}\n`);
+
+            await queue.waitForIdle({ timeoutMs });
+        }
+    } finally {
+        queue.stop();
+    }
+
+    const stats = queue.getStats();
+    process.stdout.write([
+        '',
+        `Jobs: ${Object.entries(stats).filter(([, n]) => n > 0).map(([state, n]) => `${n} ${state}`).join(', ') || 'none'}`,
+        ...(linearClient ? [`Linear calls: ${linearClient.calls.length}`] : []),
+        `State: ${stateDir}`,
+        ''
+    ].join('\n'));
+
+    if (stats.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * install-status
+ */
+async function installStatusCommand({ values }) {
+    const installations = await listInstallations();
+    const now = Date.now();
+
+    const summaries = installations.map(installation => {
+        const expiresAt = installation.expiresAt ? new Date(installation.expiresAt).getTime() : null;
+        let token = 'no expiry';
+
+        if (expiresAt !== null && expiresAt <= now) {
+            token = installation.hasRefreshToken ? 'expired (refreshes on next use)' : 'expired - reinstall via /auth/install';
+        } else if (expiresAt !== null) {
+            token = `expires in ${formatDuration(expiresAt - now)}`;
+        }
+
+        return { ...installation, token };
+    });
+
+    const fallback = Boolean(process.env.LINEAR_ACCESS_TOKEN);
+
+    output(values.json, {
+        installations: summaries,
+        linearAccessTokenFallback: fallback,
+        gitHubConfigured: isGitHubConfigured(),
+        v0ClientMode: process.env.V0_CLIENT_MODE || 'real'
+    }, [
+        summaries.length > 0
+            ? summaries.map(i => [
+                `${i.organizationName || i.organizationId} (${i.organizationId})`,
+                `  Agent: ${i.agentName || 'unknown'} (${i.agentUserId || 'unknown'})`,
+                `  Token: ${i.token}`,
+                `  Scopes: ${i.scopes.join(', ') || 'none'}`,
+                `  Installed: ${i.installedAt}`
+            ].join('\n')).join('\n\n')
+            : 'No workspace installations - visit /auth/install',
+        '',
+        `LINEAR_ACCESS_TOKEN fallback: ${fallback ? 'set' : 'not set'}`,
+        `GitHub PRs: ${isGitHubConfigured() ? `on (${process.env.GITHUB_REPOSITORY})` : 'off'}`,
+        `V0 client mode: ${process.env.V0_CLIENT_MODE || 'real'}`
+    ]);
+}
+
+/**
+ * Error that prints the command's usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Helper: Print `json` with --json, otherwise the text lines
+ */
+function output(asJson, json, lines) {
+    process.stdout.write(asJson ? `${JSON.stringify(json, null, 2)}\n` : `${lines.join('\n')}\n`);
+}
+
+/**
+ * Helper: File list for text output
+ */
+function formatFileList(files = []) {
+    return files.length > 0
+        ? `Files:\n${indent(files.map(f => f.path).join('\n'))}`
+        : 'Files: none';
+}
+
+/**
+ * Helper: Indent every line by two spaces
+ */
+function indent(text) {
+    return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+/**
+ * Helper: '3h 12m' / '45m' / '30s'
+ */
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) {
+        return `${Math.ceil(ms / 1000)}s`;
+    }
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Helper: Mock issue from a webhook's agentSession.issue plus CLI overrides
+ *
+ * Webhook payloads don't carry labels, so pass --labels for the issue to
+ * pass eligibility.
+ */
+function mockIssue(issue, values) {
+    const teamKey = values.team || issue.team?.key || issue.identifier?.split('-')[0];
+
+    return {
+        ...issue,
+        labels: values.labels ? values.labels.split(',').map(l => l.trim()).filter(Boolean) : issue.labels || [],
+        team: teamKey ? { id: issue.team?.id || issue.teamId || teamKey, key: teamKey, name: issue.team?.name || teamKey } : null
+    };
+}
+
+/**
+ * Helper: One line per mock Linear call
+ */
+function printLinearCall({ method, input }) {
+    if (method === 'createAgentActivity') {
+        const { type, text, body, toolName } = input.content;
+        const summary = (text || body || toolName || '').replace(/\s+/g, ' ').trim();
+        process.stdout.write(`  ${type}: ${summary.length > 160 ? `${summary.slice(0, 157)}...` : summary}\n`);
+    } else if (method === 'updateAgentSession' && input.plan) {
+        process.stdout.write(`  plan: ${input.plan.map(step => `${step.content} [${step.status}]`).join(', ')}\n`);
+    } else {
+        process.stdout.write(`  ${method}: ${JSON.stringify(input)}\n`);
+    }
+}
+
+/**
+ * Helper: Top-level usage
+ */
+function formatUsage() {
+    return [
+        'Usage: linear-agent-v0 <command> [options]',
+        '',
+        ...Object.values(COMMANDS).map(({ usage, description }) => `  ${usage}\n      ${description}`)
+    ].join('\n');
+}
+
+const [name, ...args] = process.argv.slice(2);
+const command = COMMANDS[name];
+
+if (!command) {
+    process.stderr.write(`${name && name !== 'help' && name !== '--help' ? `Unknown command: ${name}\n\n` : ''}${formatUsage()}\n`);
+    process.exit(name && name !== 'help' && name !== '--help' ? 1 : 0);
+}
+
+try {
+    const parsed = parseArgs({ args, options: command.options, allowPositionals: true });
+    await command.run(parsed);
+} catch (error) {
+    const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')
+        ? `\nUsage: linear-agent-v0 ${command.usage}`
+        : '';
+    process.stderr.write(`❌ ${error.message}${usage}\n`);
+    process.exitCode = 1;
+}
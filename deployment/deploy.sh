@@ -14,7 +14,7 @@ ssh $SERVER "mkdir -p $SERVICE_DIR"
 
 # 2. Copy application files
 echo "📦 Copying application files..."
-rsync -av --exclude 'node_modules' --exclude '.git' --exclude '.env' \
+rsync -av --exclude 'node_modules' --exclude '.git' --exclude '.env' --exclude 'data' \
   ./ $SERVER:$SERVICE_DIR/
 
 # 3. Install dependencies
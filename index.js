@@ -1,18 +1,29 @@
 import express from 'express';
 import 'dotenv/config';
-import { verifyLinearWebhook } from './middleware/webhook-verify.js';
+import { captureRawBody, verifyLinearWebhook } from './middleware/webhook-verify.js';
+import { dedupeLinearWebhook, getWebhookDedupeStats } from './middleware/webhook-dedupe.js';
+import { recordLinearWebhook } from './middleware/webhook-record.js';
+import { requireAdminToken } from './middleware/admin-auth.js';
 import { handleLinearWebhook } from './lib/linear-webhook.js';
+import { getJobQueue } from './lib/job-queue.js';
+import { initV0Client } from './lib/v0.js';
+import { logger, withLogContext } from './lib/logger.js';
+import { renderMetrics } from './lib/metrics.js';
 import {
+    createOAuthState,
+    consumeOAuthState,
     getAuthorizationUrl,
-    exchangeCodeForToken,
-    verifyState
+    exchangeCodeForToken
 } from './lib/linear-oauth.js';
 
 const app = express();
 const PORT = process.env.PORT || 3324;
 
-// Middleware
-app.use(express.json());
+/** Cookie binding an install attempt to the browser that started it */
+const OAUTH_STATE_COOKIE = 'linear_oauth_state';
+
+// Middleware (raw body kept for webhook signature verification)
+app.use(express.json({ verify: captureRawBody }));
 
 /**
  * Health check endpoint
@@ -25,6 +36,44 @@ app.get('/health', (req, res) => {
     });
 });
 
+/**
+ * Prometheus metrics (webhooks, V0 latency/errors, PRs, queue depth)
+ *
+ * Same access rules as /jobs - scrape with ADMIN_TOKEN as the bearer token.
+ */
+app.get('/metrics', requireAdminToken, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics({
+        jobs: getJobQueue().getStats(),
+        dedupe: getWebhookDedupeStats()
+    }));
+});
+
+/**
+ * Job status (debugging)
+ *
+ * Payloads are omitted - they contain full prompt contexts. Requires
+ * ADMIN_TOKEN (or a direct local request).
+ */
+app.get('/jobs', requireAdminToken, (req, res) => {
+    const { state, sessionId } = req.query;
+    const queue = getJobQueue();
+
+    res.json({
+        stats: queue.getStats(),
+        jobs: queue.listJobs({ state, sessionId }).map(summarizeJob)
+    });
+});
+
+app.get('/jobs/:id', requireAdminToken, (req, res) => {
+    const job = getJobQueue().getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(summarizeJob(job));
+});
+
 /**
  * OAuth Installation Flow
  */
@@ -32,10 +81,19 @@ app.get('/health', (req, res) => {
 // Step 1: Admin initiates installation
 app.get('/auth/install', (req, res) => {
     try {
-        const authUrl = getAuthorizationUrl();
+        const { state, codeChallenge, expiresInMs } = createOAuthState();
+        const authUrl = getAuthorizationUrl({ state, codeChallenge });
+
+        res.cookie(OAUTH_STATE_COOKIE, state, {
+            httpOnly: true,
+            secure: (process.env.BASE_URL || 'https://').startsWith('https://'),
+            sameSite: 'lax',
+            path: '/auth',
+            maxAge: expiresInMs
+        });
         res.redirect(authUrl);
     } catch (error) {
-        console.error('Failed to generate auth URL:', error);
+        logger.error('Failed to generate auth URL', { error });
         res.status(500).json({
             error: 'OAuth configuration error',
             message: error.message
@@ -45,70 +103,84 @@ app.get('/auth/install', (req, res) => {
 
 // Step 2: Linear redirects back with authorization code
 app.get('/auth/callback', async (req, res) => {
+    // Express 4 doesn't catch async rejections - answer malformed callbacks here
+    try {
+        await handleOAuthCallback(req, res);
+    } catch (error) {
+        logger.warn('Malformed OAuth callback', { error });
+        if (!res.headersSent) {
+            res.status(400).send('<h1>Invalid installation callback</h1><p>Start again at <a href="/auth/install">/auth/install</a>.</p>');
+        }
+    }
+});
+
+/**
+ * Helper: Verify the OAuth callback and store the workspace installation
+ */
+async function handleOAuthCallback(req, res) {
     const { code, state, error, error_description } = req.query;
 
+    // Verify CSRF state (single use, must match the installing browser's cookie)
+    const attempt = consumeOAuthState(state, getCookie(req, OAUTH_STATE_COOKIE));
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: '/auth' });
+
     // Handle OAuth errors
     if (error) {
-        console.error('OAuth error:', error, error_description);
+        logger.error('OAuth error', { oauthError: error, description: error_description });
         return res.status(400).send(`
       <h1>Installation Failed</h1>
-      <p>Error: ${error}</p>
-      <p>Description: ${error_description || 'No description provided'}</p>
+      <p>Error: ${escapeHtml(error)}</p>
+      <p>Description: ${escapeHtml(error_description || 'No description provided')}</p>
     `);
     }
 
-    // Verify CSRF state
-    if (!verifyState(state)) {
-        return res.status(400).send('<h1>Invalid state parameter (CSRF check failed)</h1>');
+    if (!attempt) {
+        return res.status(400).send('<h1>Invalid or expired state parameter (CSRF check failed)</h1><p>Start again at <a href="/auth/install">/auth/install</a>.</p>');
     }
 
     try {
-        // Exchange code for access token
-        const { accessToken, agentUserId, agentName, workspaceId } = await exchangeCodeForToken(code);
+        // Exchange code for access token (stored per workspace)
+        const { agentUserId, agentName, workspaceId, workspaceName, scopes } = await exchangeCodeForToken(code, {
+            codeVerifier: attempt.codeVerifier
+        });
 
-        console.log('✅ Agent installed successfully!');
-        console.log('Agent User ID:', agentUserId);
-        console.log('Agent Name:', agentName);
-        console.log('Workspace ID:', workspaceId);
+        logger.info('Agent installed', {
+            agentUserId,
+            agentName,
+            workspaceId,
+            scopes
+        });
 
-        // In production, store these in a database
-        // For now, display them for manual .env configuration
         res.send(`
       <h1>🎉 V0 Agent Installed!</h1>
-      <p><strong>Agent successfully installed in your Linear workspace.</strong></p>
-      <h2>Configuration</h2>
-      <p>Add these to your <code>.env</code> file on rainworth-server:</p>
-      <pre>
-LINEAR_ACCESS_TOKEN=${accessToken}
-LINEAR_V0_AGENT_USER_ID=${agentUserId}
-      </pre>
-      <p><strong>Next steps:</strong></p>
-      <ol>
-        <li>SSH to rainworth-server</li>
-        <li>Edit <code>/home/fraser/services/linear-agent-v0/.env</code></li>
-        <li>Add the values above</li>
-        <li>Restart service: <code>sudo systemctl restart linear-agent-v0</code></li>
-        <li>Assign an issue to <strong>${agentName}</strong> to test!</li>
-      </ol>
+      <p><strong>Agent successfully installed in ${escapeHtml(workspaceName)}.</strong></p>
+      <p>No restart needed - the agent is ready to use.</p>
+      <p><strong>Next step:</strong> delegate an issue to <strong>${escapeHtml(agentName)}</strong> to test!</p>
     `);
     } catch (error) {
-        console.error('Token exchange failed:', error);
+        logger.error('Token exchange failed', { error });
         res.status(500).send(`
       <h1>Installation Error</h1>
-      <p>Failed to complete installation: ${error.message}</p>
+      <p>Failed to complete installation: ${escapeHtml(error.message)}</p>
     `);
     }
-});
+}
 
 /**
  * Linear Webhook Endpoint
+ *
+ * Responds as soon as the session is acknowledged; generation continues
+ * in the job queue. Stale and duplicate deliveries are dropped before
+ * they reach the handler. Verified deliveries (duplicates included) are
+ * saved for replay when WEBHOOK_RECORD_DIR is set. Log lines for the
+ * delivery (and the jobs it queues) carry its delivery ID.
  */
-app.post('/webhook/linear', verifyLinearWebhook, async (req, res) => {
+app.post('/webhook/linear', withDeliveryLogContext, verifyLinearWebhook, recordLinearWebhook, dedupeLinearWebhook, async (req, res) => {
     try {
-        await handleLinearWebhook(req.body);
+        await handleLinearWebhook(req.body, { receivedAt: req.receivedAt });
         res.status(200).json({ received: true });
     } catch (error) {
-        console.error('Webhook processing error:', error);
+        logger.error('Webhook processing error', { error });
         res.status(500).json({
             error: 'Webhook processing failed',
             message: error.message
@@ -116,10 +188,72 @@ app.post('/webhook/linear', verifyLinearWebhook, async (req, res) => {
     }
 });
 
-// Start server
+/**
+ * Helper: Run the rest of the request in a log context for its delivery
+ */
+function withDeliveryLogContext(req, res, next) {
+    withLogContext({ deliveryId: req.headers['linear-delivery'] }, next);
+}
+
+/**
+ * Helper: Escape untrusted text for HTML responses
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Helper: Read a cookie from the request (no cookie-parser dependency)
+ *
+ * Returns null for a missing or malformed (undecodable) cookie.
+ */
+function getCookie(req, name) {
+    const cookies = (req.headers.cookie || '').split(';');
+
+    for (const cookie of cookies) {
+        const [key, ...value] = cookie.trim().split('=');
+        if (key === name) {
+            try {
+                return decodeURIComponent(value.join('='));
+            } catch {
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper: Job fields safe to expose over HTTP
+ */
+function summarizeJob({ payload, ...job }) {
+    return job;
+}
+
+// Fail fast if V0 can't be reached (no silent fallback to the fake client)
+try {
+    await initV0Client();
+} catch (error) {
+    logger.error('Startup failed', { error });
+    process.exit(1);
+}
+
+// Start server (resume queued jobs first)
+await getJobQueue().start();
+
 app.listen(PORT, () => {
-    console.log(`🚀 V0 Linear Agent listening on port ${PORT}`);
-    console.log(`📡 Webhook endpoint: http://localhost:${PORT}/webhook/linear`);
-    console.log(`🔐 OAuth install: http://localhost:${PORT}/auth/install`);
-    console.log(`❤️  Health check: http://localhost:${PORT}/health`);
+    logger.info('V0 Linear Agent listening', {
+        port: Number(PORT),
+        webhook: `http://localhost:${PORT}/webhook/linear`,
+        install: `http://localhost:${PORT}/auth/install`,
+        health: `http://localhost:${PORT}/health`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        jobs: `http://localhost:${PORT}/jobs`
+    });
 });
@@ -0,0 +1,170 @@
+import { getChatHistoryStore } from './chat-history.js';
+import { logger } from './logger.js';
+
+/**
+ * Agent Plans
+ *
+ * Publishes the agent's checklist to the Linear AgentSession so reviewers can
+ * see where a run is. Step statuses live on the chat history record
+ * (`record.plan`) and the Linear plan is always rebuilt from it, so the
+ * checklist stays consistent across refinements and restarts.
+ *
+ * See: https://linear.app/developers/agent-interaction
+ */
+
+/**
+ * Plan steps, in execution order
+ */
+export const PLAN_STEPS = [
+    { id: 'analyze', content: 'Analyze UI requirements' },
+    { id: 'generate', content: 'Generate UI in V0' },
+    { id: 'review', content: 'Review generated files' },
+    { id: 'pullRequest', content: 'Open draft PR' },
+    { id: 'feedback', content: 'Await feedback' }
+];
+
+/**
+ * Local step status → Linear plan status
+ *
+ * Linear only knows pending/inProgress/completed/canceled, so failed,
+ * skipped and stopped steps are shown as canceled with a suffix.
+ */
+const LINEAR_STATUS = {
+    pending: 'pending',
+    inProgress: 'inProgress',
+    completed: 'completed',
+    failed: 'canceled',
+    skipped: 'canceled',
+    stopped: 'canceled'
+};
+
+/**
+ * Fresh plan with every step pending
+ *
+ * @returns {Object<string, string>} Step ID → status
+ */
+export function createInitialPlan() {
+    return Object.fromEntries(PLAN_STEPS.map(step => [step.id, 'pending']));
+}
+
+/**
+ * Plan reset for a new refinement iteration
+ *
+ * Analysis stays completed; everything after it runs again.
+ *
+ * @returns {Object<string, string>} Step ID → status
+ */
+export function createRefinementPlan() {
+    return { ...createInitialPlan(), analyze: 'completed' };
+}
+
+/**
+ * Build the Linear plan payload from a chat history record
+ *
+ * @param {Object} record - Chat history record
+ * @returns {Array<{content: string, status: string}>}
+ */
+export function buildAgentPlan(record) {
+    const plan = record?.plan || createInitialPlan();
+    const iteration = record?.iterations?.length || 0;
+
+    return PLAN_STEPS.map(step => {
+        const status = plan[step.id] || 'pending';
+        let content = step.content;
+
+        if (step.id === 'generate' && iteration > 1) {
+            content += ` (iteration ${iteration})`;
+        }
+        if (status === 'failed') {
+            content += ' - failed';
+        }
+        if (status === 'skipped') {
+            content += ' - skipped';
+        }
+        if (status === 'stopped') {
+            content += ' - stopped';
+        }
+
+        return { content, status: LINEAR_STATUS[status] };
+    });
+}
+
+/**
+ * Update step statuses and publish the plan to Linear
+ *
+ * Publishing failures are logged, not thrown - the plan is informational
+ * and must never break a generation.
+ *
+ * @param {LinearClient} linearClient - Workspace agent client
+ * @param {string} sessionId - Linear agentSession ID
+ * @param {Object<string, string>} changes - Step ID → status
+ * @returns {Promise<Object>} Updated chat history record
+ */
+export async function updateAgentPlan(linearClient, sessionId, changes) {
+    const record = await getChatHistoryStore().updateSession(sessionId, (current) => ({
+        plan: { ...(current.plan || createInitialPlan()), ...changes }
+    }));
+
+    await publishAgentPlan(linearClient, record);
+
+    return record;
+}
+
+/**
+ * Mark whichever step is in progress as failed
+ *
+ * @param {LinearClient} linearClient - Workspace agent client
+ * @param {string} sessionId - Linear agentSession ID
+ * @returns {Promise<Object|null>} Updated record, or null if the session has no record
+ */
+export async function failAgentPlan(linearClient, sessionId) {
+    const store = getChatHistoryStore();
+
+    if (!await store.getSession(sessionId)) {
+        return null;
+    }
+
+    const record = await store.updateSession(sessionId, (current) => ({
+        plan: Object.fromEntries(
+            Object.entries(current.plan || createInitialPlan())
+                .map(([stepId, status]) => [stepId, status === 'inProgress' ? 'failed' : status])
+        )
+    }));
+
+    await publishAgentPlan(linearClient, record);
+
+    return record;
+}
+
+/**
+ * Mark every unfinished step as stopped (the user stopped the session)
+ *
+ * @param {LinearClient} linearClient - Workspace agent client
+ * @param {string} sessionId - Linear agentSession ID
+ * @returns {Promise<Object>} Updated chat history record
+ */
+export async function stopAgentPlan(linearClient, sessionId) {
+    const record = await getChatHistoryStore().updateSession(sessionId, (current) => ({
+        plan: Object.fromEntries(
+            Object.entries(current.plan || createInitialPlan())
+                .map(([stepId, status]) => [stepId, ['pending', 'inProgress'].includes(status) ? 'stopped' : status])
+        )
+    }));
+
+    await publishAgentPlan(linearClient, record);
+
+    return record;
+}
+
+/**
+ * Helper: Push the record's plan to the Linear AgentSession
+ */
+async function publishAgentPlan(linearClient, record) {
+    try {
+        await linearClient.updateAgentSession(record.sessionId, {
+            plan: buildAgentPlan(record)
+        });
+    } catch (error) {
+        logger.error('Failed to publish agent plan', { error });
+    }
+}
@@ -0,0 +1,294 @@
+import 'dotenv/config';
+import { logger } from './logger.js';
+
+/**
+ * Issue Attachments → V0 Image Inputs
+ *
+ * Collects screenshots and mockups from a Linear issue so V0 can see them:
+ * - Image attachments (issue.attachments())
+ * - Inline Markdown images in the description (`![alt](url)`)
+ *
+ * Linear uploads (uploads.linear.app) need the workspace's agent token, so
+ * images are downloaded here and sent to V0 as data URLs. The token is only
+ * ever sent to uploads.linear.app; other linear.app links (issues, docs) are
+ * link attachments like any other and are ignored.
+ *
+ * Issue text is user-controlled, so downloads are limited to https URLs on
+ * uploads.linear.app and known image CDNs (plus V0_IMAGE_HOSTS). Redirects are followed
+ * by hand and every hop is checked again; bodies are streamed and dropped
+ * as soon as they pass V0_MAX_IMAGE_BYTES.
+ *
+ * Figma links are not downloadable; they're passed through as references in
+ * the prompt. Anything skipped (unsupported type, too large, download error)
+ * is returned so the caller can tell the user.
+ */
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_EXTENSION = /\.(png|jpe?g|gif|webp|svg|bmp|tiff?|heic)(\?|#|$)/i;
+const MARKDOWN_IMAGE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const LINEAR_UPLOAD_HOST = 'uploads.linear.app';
+const FIGMA_HOSTS = ['figma.com', 'www.figma.com'];
+const IMAGE_HOSTS = [
+    LINEAR_UPLOAD_HOST,
+    'i.imgur.com',
+    'user-images.githubusercontent.com',
+    'private-user-images.githubusercontent.com',
+    'raw.githubusercontent.com'
+];
+const MAX_REDIRECTS = 3;
+
+/**
+ * Collect, download and classify an issue's visual references
+ *
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.accessToken - Agent token, for private Linear uploads
+ * @param {string} params.issueId - Linear issue UUID
+ * @param {AbortSignal} [params.signal] - Abort pending downloads
+ * @returns {Promise<{images: Object[], references: Object[], skipped: Object[]}>}
+ *   images: `{ name, url (data URL), contentType, size, sourceUrl }`
+ *   references: `{ title, url }` (Figma links)
+ *   skipped: `{ name, url, reason }`
+ */
+export async function collectIssueImages({ linearClient, accessToken, issueId, signal }) {
+    const maxImages = parseInt(process.env.V0_MAX_IMAGES || '5', 10);
+    const maxBytes = parseInt(process.env.V0_MAX_IMAGE_BYTES || '5242880', 10);
+
+    const candidates = await listIssueAttachments(linearClient, issueId);
+    const images = [];
+    const references = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+        if (isFigmaUrl(candidate.url)) {
+            references.push({ title: candidate.title, url: candidate.url });
+            continue;
+        }
+
+        // Link attachments (PRs, Slack threads...) aren't visual references
+        if (!candidate.inline && !IMAGE_EXTENSION.test(candidate.url) && !isLinearUpload(candidate.url)) {
+            continue;
+        }
+
+        if (images.length >= maxImages) {
+            skipped.push({ name: candidate.title, url: candidate.url, reason: `over the ${maxImages} image limit` });
+            continue;
+        }
+
+        try {
+            images.push(await downloadImage(candidate, { accessToken, maxBytes, signal }));
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            skipped.push({ name: candidate.title, url: candidate.url, reason: error.message });
+        }
+    }
+
+    return { images, references, skipped };
+}
+
+/**
+ * Summarize skipped attachments for a thought activity
+ *
+ * @param {Object[]} skipped - From collectIssueImages()
+ * @returns {string} Markdown
+ */
+export function formatSkippedAttachments(skipped) {
+    const lines = skipped.map(item => `- ${item.name || item.url}: ${item.reason}`);
+    return `Some issue attachments weren't sent to V0:\n${lines.join('\n')}`;
+}
+
+/**
+ * Helper: Attachments and inline description images, de-duplicated by URL
+ */
+async function listIssueAttachments(linearClient, issueId) {
+    let issue;
+    let attachments;
+
+    try {
+        issue = await linearClient.issue(issueId);
+        attachments = await issue.attachments();
+    } catch (error) {
+        logger.error('Failed to load issue attachments', { issueId, error });
+        throw new Error(`Failed to load issue attachments: ${error.message}`);
+    }
+
+    const candidates = attachments.nodes.map(a => ({
+        title: a.title || fileNameFromUrl(a.url),
+        url: a.url,
+        inline: false
+    }));
+
+    for (const match of (issue.description || '').matchAll(MARKDOWN_IMAGE)) {
+        candidates.push({
+            title: match[1] || fileNameFromUrl(match[2]),
+            url: match[2],
+            inline: true
+        });
+    }
+
+    const seen = new Set();
+    return candidates.filter(c => c.url && !seen.has(c.url) && seen.add(c.url));
+}
+
+/**
+ * Helper: Download one image and encode it as a data URL
+ */
+async function downloadImage({ title, url }, { accessToken, maxBytes, signal }) {
+    const response = await fetchAllowed(url, { accessToken, signal });
+
+    if (!response.ok) {
+        throw new Error(`download failed (HTTP ${response.status})`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+    if (!IMAGE_TYPES.includes(contentType)) {
+        throw new Error(`unsupported type ${contentType || 'unknown'}`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredSize > maxBytes) {
+        throw new Error(`${formatBytes(declaredSize)} exceeds the ${formatBytes(maxBytes)} limit`);
+    }
+
+    const buffer = await readBody(response, maxBytes);
+
+    return {
+        name: title,
+        url: `data:${contentType};base64,${buffer.toString('base64')}`,
+        contentType,
+        size: buffer.length,
+        sourceUrl: url
+    };
+}
+
+/**
+ * Helper: Fetch an allowed URL, following redirects only to allowed URLs
+ *
+ * The agent token goes to uploads.linear.app only, hop by hop.
+ */
+async function fetchAllowed(url, { accessToken, signal }) {
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        assertAllowedImageUrl(current);
+
+        const headers = isLinearUpload(current) && accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+        const response = await fetch(current, { headers, redirect: 'manual', signal });
+        const location = response.headers.get('location');
+
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return response;
+        }
+
+        await response.body?.cancel();
+        current = new URL(location, current).href;
+    }
+
+    throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Helper: Reject non-https URLs and hosts outside the allowlist
+ */
+function assertAllowedImageUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('invalid URL');
+    }
+
+    if (parsed.protocol !== 'https:') {
+        throw new Error(`${parsed.protocol.replace(':', '')} URLs are not downloaded (https only)`);
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    const allowed = [...IMAGE_HOSTS, ...getExtraImageHosts()].some(pattern =>
+        pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+    );
+
+    if (!allowed) {
+        throw new Error(`host ${host} is not an allowed image host (see V0_IMAGE_HOSTS)`);
+    }
+}
+
+/**
+ * Helper: Extra allowed hosts from V0_IMAGE_HOSTS (comma-separated, `*.` wildcards)
+ */
+function getExtraImageHosts() {
+    return (process.env.V0_IMAGE_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Helper: Read a response body, giving up once it passes maxBytes
+ */
+async function readBody(response, maxBytes) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        size += value.length;
+        if (size > maxBytes) {
+            await reader.cancel();
+            throw new Error(`larger than the ${formatBytes(maxBytes)} limit`);
+        }
+        chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Helper: Linear upload URLs, the only ones that receive the agent token
+ */
+function isLinearUpload(url) {
+    return hostOf(url) === LINEAR_UPLOAD_HOST;
+}
+
+/**
+ * Helper: Figma design/prototype links
+ */
+function isFigmaUrl(url) {
+    return FIGMA_HOSTS.includes(hostOf(url));
+}
+
+/**
+ * Helper: Lower-case hostname, or '' for unparseable URLs
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Helper: Last path segment of a URL
+ */
+function fileNameFromUrl(url) {
+    try {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Helper: 5242880 → '5.0 MB'
+ */
+function formatBytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,276 @@
+import 'dotenv/config';
+import { mkdir, readFile, readdir, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * V0 Chat History Persistence
+ *
+ * Remembers which V0 chat belongs to which Linear AgentSession, along with
+ * every iteration (prompt, demo URL, generated files) so refinements keep
+ * their V0 context across service restarts and past runs can be audited.
+ *
+ * Storage: one JSON file per agent session in CHAT_HISTORY_DIR
+ * (default: data/chat-history). Callers only depend on the store interface
+ * returned by createFileChatHistoryStore(), so the backend can be swapped.
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let chatHistoryStore = null;
+
+/**
+ * Get the shared chat history store
+ *
+ * @returns {ReturnType<typeof createFileChatHistoryStore>}
+ */
+export function getChatHistoryStore() {
+    if (!chatHistoryStore) {
+        const directory = process.env.CHAT_HISTORY_DIR
+            ? path.resolve(process.env.CHAT_HISTORY_DIR)
+            : path.join(PROJECT_ROOT, 'data', 'chat-history');
+
+        chatHistoryStore = createFileChatHistoryStore(directory);
+    }
+    return chatHistoryStore;
+}
+
+/**
+ * Create a JSON-file backed chat history store
+ *
+ * Record shape:
+ * {
+ *   sessionId, organizationId, issueId, issueIdentifier,
+ *   chatId: string | null,           // null until the first V0 generation
+ *   state: 'active' | 'awaitingInput' | 'complete' | 'error' | 'rejected' | 'stopped',
+ *   demoUrls: string[],
+ *   iterations: [{ number, type: 'create' | 'refine' | 'repair', prompt, chatId, demoUrl, files, jobId, createdAt }],
+ *   plan: { [stepId]: status },      // see lib/agent-plan.js
+ *   elicitation?: { questions, answers, askedAt, answeredAt },  // see lib/elicitation.js
+ *   createdAt, updatedAt
+ * }
+ *
+ * @param {string} directory - Directory holding one `<sessionId>.json` per session
+ */
+export function createFileChatHistoryStore(directory) {
+    // Serialize writes per session so concurrent updates don't clobber each other
+    const pendingWrites = new Map();
+
+    const fileFor = (sessionId) => {
+        if (!sessionId) {
+            throw new Error('sessionId is required');
+        }
+        return path.join(directory, `${String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    };
+
+    async function read(sessionId) {
+        try {
+            return JSON.parse(await readFile(fileFor(sessionId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read chat history for ${sessionId}: ${error.message}`);
+        }
+    }
+
+    async function write(record) {
+        const file = fileFor(record.sessionId);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+
+        await mkdir(directory, { recursive: true });
+        await writeFile(tmpFile, JSON.stringify(record, null, 2));
+        // rename() is atomic, so a crash mid-write never leaves a truncated record
+        await rename(tmpFile, file);
+
+        return record;
+    }
+
+    function mutate(sessionId, fn) {
+        const previous = pendingWrites.get(sessionId) || Promise.resolve();
+        const next = previous
+            .catch(() => {})
+            .then(async () => {
+                const record = await read(sessionId);
+                const updated = await fn(record);
+                updated.updatedAt = new Date().toISOString();
+                return write(updated);
+            });
+
+        pendingWrites.set(sessionId, next);
+        next.finally(() => {
+            if (pendingWrites.get(sessionId) === next) {
+                pendingWrites.delete(sessionId);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    async function list() {
+        let entries;
+        try {
+            entries = await readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = await Promise.all(
+            entries
+                .filter(name => name.endsWith('.json'))
+                .map(name => read(name.slice(0, -'.json'.length)))
+        );
+
+        return records
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    return {
+        /**
+         * @param {string} sessionId - Linear agentSession ID
+         * @returns {Promise<Object|null>}
+         */
+        getSession: read,
+
+        /**
+         * @returns {Promise<Object[]>} All sessions, oldest first
+         */
+        listSessions: list,
+
+        /**
+         * Most recent session for an issue (UUID or identifier like 'SYS-353')
+         *
+         * @param {string} issueId
+         * @returns {Promise<Object|null>}
+         */
+        async findSessionByIssue(issueId) {
+            const records = await list();
+            return records
+                .filter(r => r.issueId === issueId || r.issueIdentifier === issueId)
+                .pop() || null;
+        },
+
+        /**
+         * @param {string} chatId - V0 chat ID
+         * @returns {Promise<Object|null>}
+         */
+        async findSessionByChatId(chatId) {
+            const records = await list();
+            return records.filter(r => r.chatId === chatId).pop() || null;
+        },
+
+        /**
+         * Create a session record when a Linear agent session starts
+         *
+         * @param {Object} params
+         * @param {string} params.sessionId - Linear agentSession ID
+         * @param {string} [params.organizationId] - Linear workspace ID
+         * @param {string} params.issueId - Linear issue UUID
+         * @param {string} [params.issueIdentifier] - e.g. 'SYS-353'
+         * @param {Object} [params.plan] - Initial plan step statuses
+         * @returns {Promise<Object>} Stored record
+         */
+        createSession({ sessionId, organizationId, issueId, issueIdentifier, plan = {} }) {
+            return mutate(sessionId, () => {
+                const now = new Date().toISOString();
+                return {
+                    sessionId,
+                    organizationId: organizationId || null,
+                    issueId,
+                    issueIdentifier: issueIdentifier || null,
+                    chatId: null,
+                    state: 'active',
+                    demoUrls: [],
+                    iterations: [],
+                    plan,
+                    createdAt: now,
+                    updatedAt: now
+                };
+            });
+        },
+
+        /**
+         * Bind a new agent session to an earlier session's V0 chat
+         *
+         * Used when a comment mention starts a fresh Linear session on an
+         * issue that already has a V0 chat. History is copied so the new
+         * session can refine, repost and complete it.
+         *
+         * @param {string} sessionId - New Linear agentSession ID
+         * @param {Object} previous - Earlier session record
+         * @returns {Promise<Object>} Stored record
+         */
+        linkSession(sessionId, previous) {
+            return mutate(sessionId, () => {
+                const now = new Date().toISOString();
+                return {
+                    ...previous,
+                    sessionId,
+                    linkedFrom: previous.sessionId,
+                    state: 'active',
+                    createdAt: now,
+                    updatedAt: now
+                };
+            });
+        },
+
+        /**
+         * Record a V0 generation (initial create or refinement)
+         *
+         * @param {string} sessionId - Linear agentSession ID
+         * @param {Object} iteration
+         * @param {'create'|'refine'|'repair'} [iteration.type] - Defaults to 'refine'
+         * @param {string} iteration.prompt - Prompt or feedback sent to V0
+         * @param {string} iteration.chatId - V0 chat ID returned by the refinement
+         * @param {string} iteration.demoUrl - Updated demo URL
+         * @param {Array} [iteration.files] - Generated files snapshot (diffed against the next iteration)
+         * @param {string} [iteration.jobId] - Job that produced it, so a retried job can find its result
+         * @returns {Promise<Object>} Updated record
+         */
+        appendIteration(sessionId, { type = 'refine', prompt, chatId, demoUrl, files = [], jobId = null }) {
+            return mutate(sessionId, (record) => {
+                if (!record) {
+                    throw new Error(`No chat history for session ${sessionId}`);
+                }
+
+                record.iterations.push({
+                    number: record.iterations.length + 1,
+                    type,
+                    prompt,
+                    chatId,
+                    demoUrl,
+                    files,
+                    jobId,
+                    createdAt: new Date().toISOString()
+                });
+                record.chatId = chatId || record.chatId;
+                if (demoUrl && !record.demoUrls.includes(demoUrl)) {
+                    record.demoUrls.push(demoUrl);
+                }
+
+                return record;
+            });
+        },
+
+        /**
+         * Shallow-merge fields into a session record (e.g. `{ state: 'complete' }`)
+         *
+         * @param {string} sessionId - Linear agentSession ID
+         * @param {Object|Function} patch - Fields, or `(record) => fields` for read-modify-write updates
+         * @returns {Promise<Object>} Updated record
+         */
+        updateSession(sessionId, patch) {
+            return mutate(sessionId, (record) => {
+                if (!record) {
+                    throw new Error(`No chat history for session ${sessionId}`);
+                }
+                const fields = typeof patch === 'function' ? patch(record) : patch;
+                return { ...record, ...fields, sessionId };
+            });
+        }
+    };
+}
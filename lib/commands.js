@@ -0,0 +1,165 @@
+import { logger } from './logger.js';
+
+/**
+ * @v0 Command Parsing & Routing
+ *
+ * Parses session prompts and comment mentions into agent commands:
+ *
+ * - `@v0 refine [feedback]` - Send refinement feedback
+ * - `@v0 demo`              - Repost demo URL
+ * - `@v0 complete`          - Mark session complete
+ * - `@v0 help`              - Show available commands
+ *
+ * A command needs an `@mention` or `/` prefix (`@v0 demo`, `/demo`), or
+ * must be the whole message (`demo`). Everything else - including
+ * feedback that starts with a command word, like "Complete redesign with
+ * darker colors" - is treated as refinement feedback.
+ */
+
+/**
+ * Supported commands
+ *
+ * `args`: 'required' | 'optional' | 'none'
+ */
+export const COMMANDS = {
+    refine: {
+        usage: '@v0 refine [feedback]',
+        description: 'Send refinement feedback to V0',
+        args: 'required'
+    },
+    demo: {
+        usage: '@v0 demo',
+        description: 'Repost the latest demo URL',
+        args: 'none'
+    },
+    complete: {
+        usage: '@v0 complete',
+        description: 'Mark this session complete',
+        args: 'optional'
+    },
+    help: {
+        usage: '@v0 help',
+        description: 'Show available commands',
+        args: 'none'
+    }
+};
+
+/**
+ * Parse a prompt into a command
+ *
+ * @param {string} text - Prompt body or comment body
+ * @returns {{name: string, args: string, explicit: boolean}}
+ *   `name` is a key of COMMANDS or 'unknown'; `explicit` is false when
+ *   free text defaulted to refine.
+ */
+export function parseAgentCommand(text) {
+    const trimmed = String(text || '').trim();
+
+    // Strip a leading @mention (e.g. "@v0" or "@v0-agent:")
+    const body = trimmed.replace(/^@[\w.-]+[:,]?\s*/, '').trim();
+    const mentioned = body !== trimmed;
+
+    if (!body) {
+        return { name: 'help', args: '', explicit: false };
+    }
+
+    const match = body.match(/^(\/?)([a-zA-Z][\w-]*)(?:\s+([\s\S]*))?$/);
+    const slash = match?.[1] === '/';
+    const word = match?.[2]?.toLowerCase();
+    const rest = (match?.[3] || '').trim();
+
+    // "@v0 demo", "/demo" or just "demo"
+    if (word && COMMANDS[word] && (mentioned || slash || !rest)) {
+        return { name: word, args: rest, explicit: true };
+    }
+
+    // "/deploy" is a command attempt; "deploy" on its own is feedback
+    if (slash) {
+        return { name: 'unknown', args: match[2], explicit: true };
+    }
+
+    return { name: 'refine', args: body, explicit: false };
+}
+
+/**
+ * Check a parsed command's arguments
+ *
+ * @param {{name: string, args: string}} command
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAgentCommand({ name, args }) {
+    const definition = COMMANDS[name];
+
+    if (!definition) {
+        return `Unknown command \`${args}\`.`;
+    }
+
+    if (definition.args === 'required' && !args) {
+        return `\`${name}\` needs more detail. Usage: \`${definition.usage}\``;
+    }
+
+    if (definition.args === 'none' && args) {
+        return `\`${name}\` doesn't take any arguments. Usage: \`${definition.usage}\``;
+    }
+
+    return null;
+}
+
+/**
+ * Format the command list for the help reply
+ *
+ * @returns {string} Markdown
+ */
+export function formatHelpMessage() {
+    let message = `**V0 agent commands**\n\n`;
+
+    for (const definition of Object.values(COMMANDS)) {
+        message += `- \`${definition.usage}\` - ${definition.description}\n`;
+    }
+
+    message += `\nAnything else you write is sent to V0 as refinement feedback.`;
+
+    return message;
+}
+
+/**
+ * Create a router that parses, validates and dispatches prompts
+ *
+ * Invalid or unknown commands are answered with an error activity
+ * (including the command list) instead of being ignored.
+ *
+ * @param {Object<string, Function>} handlers - `(context, args) => Promise<Object>` per command name
+ * @returns {(text: string, context: {linearClient: LinearClient, sessionId: string}) => Promise<Object>}
+ */
+export function createCommandRouter(handlers) {
+    return async function routeAgentCommand(text, context) {
+        const command = parseAgentCommand(text);
+        const validationError = validateAgentCommand(command);
+
+        logger.info('Routing @v0 command', {
+            command: command.name,
+            agentSessionId: context.sessionId,
+            explicit: command.explicit
+        });
+
+        if (validationError) {
+            await context.linearClient.createAgentActivity({
+                agentSessionId: context.sessionId,
+                content: {
+                    type: 'error',
+                    text: `${validationError}\n\n${formatHelpMessage()}`
+                }
+            });
+
+            return { success: false, message: validationError, command: command.name };
+        }
+
+        const handler = handlers[command.name];
+
+        if (!handler) {
+            throw new Error(`No handler registered for command: ${command.name}`);
+        }
+
+        return handler(context, command.args);
+    };
+}
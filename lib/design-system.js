@@ -0,0 +1,125 @@
+import 'dotenv/config';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+/**
+ * Design-System Context
+ *
+ * Loads our component registry from DESIGN_SYSTEM_MANIFEST (default:
+ * config/design-system.json) and picks the components relevant to an issue,
+ * so V0 imports `@/components/ui/*` instead of re-inventing them.
+ *
+ * Manifest shape:
+ * {
+ *   importAlias: '@/components/ui',
+ *   components: [{ name, importPath, exports?, props, keywords, alwaysInclude? }],
+ *   tokens: { colors: {}, spacing: {}, radius: {} }
+ * }
+ *
+ * A component is selected when its name or one of its keywords appears in
+ * the issue text. Tokens are always included.
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Keeps the prompt focused - V0 ignores long component lists */
+const MAX_COMPONENTS = 8;
+
+let manifest;
+
+/**
+ * Get the design-system manifest
+ *
+ * @returns {Object|null} Manifest, or null when no manifest file exists
+ */
+export function getDesignSystemManifest() {
+    if (manifest === undefined) {
+        const file = process.env.DESIGN_SYSTEM_MANIFEST
+            ? path.resolve(process.env.DESIGN_SYSTEM_MANIFEST)
+            : path.join(PROJECT_ROOT, 'config', 'design-system.json');
+
+        try {
+            manifest = JSON.parse(readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to load design-system manifest ${file}: ${error.message}`);
+            }
+            logger.warn("No design-system manifest - prompts won't reference existing components", { file });
+            manifest = null;
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Pick the components an issue is likely to need
+ *
+ * @param {string} text - Issue title, description or promptContext
+ * @returns {Object[]} Matching manifest components (always-included first)
+ */
+export function selectDesignSystemComponents(text = '') {
+    const components = getDesignSystemManifest()?.components || [];
+
+    const matches = components.filter(component =>
+        component.alwaysInclude ||
+        [component.name, ...(component.keywords || [])].some(keyword => containsWord(text, keyword))
+    );
+
+    return [
+        ...matches.filter(c => c.alwaysInclude),
+        ...matches.filter(c => !c.alwaysInclude)
+    ].slice(0, MAX_COMPONENTS);
+}
+
+/**
+ * Build the prompt section describing the relevant components and tokens
+ *
+ * @param {string} text - Issue title, description or promptContext
+ * @returns {{section: string, components: string[]}} Markdown section ('' without a manifest) and the component names used
+ */
+export function buildDesignSystemContext(text) {
+    const registry = getDesignSystemManifest();
+
+    if (!registry) {
+        return { section: '', components: [] };
+    }
+
+    const components = selectDesignSystemComponents(text);
+    const alias = registry.importAlias || '@/components/ui';
+
+    let section = '## Design System\n';
+    section += `Import existing components from \`${alias}/*\` - do not re-create them.\n`;
+
+    for (const component of components) {
+        const names = (component.exports || [component.name]).join(', ');
+        section += `- \`${names}\` from \`${component.importPath}\``;
+        section += component.props ? ` - props: \`${component.props}\`\n` : '\n';
+    }
+
+    const tokenLines = Object.entries(registry.tokens || {}).map(([group, values]) =>
+        `- ${capitalize(group)}: ${Object.entries(values).map(([name, value]) => `${name} (\`${value}\`)`).join(', ')}`
+    );
+
+    if (tokenLines.length > 0) {
+        section += `\nUse these tokens instead of raw values:\n${tokenLines.join('\n')}\n`;
+    }
+
+    return { section, components: components.map(c => c.name) };
+}
+
+/**
+ * Helper: Case-insensitive whole-word match
+ */
+function containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}s?\\b`, 'i').test(text);
+}
+
+/**
+ * Helper: 'colors' → 'Colors'
+ */
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
@@ -0,0 +1,87 @@
+import { getTeamConfig } from './team-config.js';
+
+/**
+ * Elicitation: Clarifying Questions for Underspecified Issues
+ *
+ * A one-line ticket gives V0 nothing to work with, so before the first
+ * generation the session's prompt context is checked for the essentials in
+ * the team's `elicitation` rules (see config/teams.json):
+ *
+ * - essentials: `{ id: { question, keywords, scopes? } }` - an essential is
+ *   covered when any keyword appears in the issue text or labels; `scopes`
+ *   limits it to some generation scopes (e.g. target page only for pages)
+ * - maxMissing: how many essentials may be missing before we ask
+ * - enabled: false skips the check
+ *
+ * Questions for the missing essentials are asked through an `elicitation`
+ * activity; the user's reply is merged into the V0 prompt.
+ */
+
+/**
+ * Check a session's prompt context for missing essentials
+ *
+ * @param {Object} params
+ * @param {string} params.promptContext - agentSession.promptContext from the webhook
+ * @param {string[]} [params.labels] - Issue label names
+ * @param {string} [params.teamKey] - Linear team key, selects the rules
+ * @param {{id?: string, name?: string}} [params.project] - Linear project, for project overrides
+ * @param {string} [params.scope] - Generation scope from checkIssueEligibility()
+ * @returns {{sufficient: boolean, missing: Array<{id: string, question: string}>}}
+ */
+export function assessPromptContext({ promptContext, labels = [], teamKey, project, scope }) {
+    const rules = getTeamConfig(teamKey, project).elicitation || {};
+
+    if (rules.enabled === false) {
+        return { sufficient: true, missing: [] };
+    }
+
+    const text = `${promptContext || ''}\n${labels.join('\n')}`;
+
+    const missing = Object.entries(rules.essentials || {})
+        .filter(([, essential]) => !essential.scopes || essential.scopes.includes(scope))
+        .filter(([, essential]) => !(essential.keywords || []).some(keyword => mentions(text, keyword)))
+        .map(([id, essential]) => ({ id, question: essential.question }));
+
+    return {
+        sufficient: missing.length <= (rules.maxMissing ?? 1),
+        missing
+    };
+}
+
+/**
+ * Body of the elicitation activity
+ *
+ * @param {Array<{question: string}>} questions - `missing` from assessPromptContext()
+ * @returns {string} Markdown
+ */
+export function formatElicitationQuestions(questions) {
+    const lines = questions.map((q, index) => `${index + 1}. ${q.question}`);
+
+    return 'Before I send this to V0, a few details would make the result much closer to what you need:\n\n' +
+        `${lines.join('\n')}\n\n` +
+        'Reply here with whatever you know - partial answers are fine.';
+}
+
+/**
+ * Prompt section with the user's answers
+ *
+ * @param {Object} [elicitation] - Chat history `elicitation` ({ questions, answers })
+ * @returns {string} Markdown, or '' when nothing was answered
+ */
+export function formatClarifications(elicitation) {
+    if (!elicitation?.answers) {
+        return '';
+    }
+
+    const questions = elicitation.questions.map(q => `- ${q.question}`).join('\n');
+
+    return `## Clarifications\nQuestions asked:\n${questions}\n\nAnswers from the requester:\n${elicitation.answers.trim()}`;
+}
+
+/**
+ * Helper: Case-insensitive keyword match at a word start ('load' matches 'loading')
+ */
+function mentions(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}`, 'i').test(text);
+}
@@ -0,0 +1,142 @@
+import { getTeamConfig } from './team-config.js';
+import { logger } from './logger.js';
+
+/**
+ * Issue Eligibility & Routing
+ *
+ * Decides whether a delegated issue is in scope for V0 before any V0 call
+ * is made, using the issue's labels, team and project against the team's
+ * `eligibility` rules (see config/teams.json):
+ *
+ * - requiredLabels: every label must be present (e.g. `executor:v0`)
+ * - blockedLabels: any of these rejects the issue (e.g. `backend`)
+ * - allowedProjects: project names/IDs the team accepts (null = any)
+ * - maxComplexity / defaultComplexity: `complexity:N` label bounds
+ *
+ * Eligible issues are mapped to a generation scope through the team's
+ * `complexity` table (single component vs. full page vs. multi-page flow).
+ */
+
+const COMPLEXITY_LABEL = /^complexity:\s*(\d+)$/i;
+
+/**
+ * Fetch the issue fields eligibility depends on
+ *
+ * Webhook payloads don't reliably include labels, team or project, so they
+ * are always loaded through the workspace agent client.
+ *
+ * @param {LinearClient} linearClient - Workspace agent client
+ * @param {string} issueId - Linear issue UUID
+ * @returns {Promise<{id: string, identifier: string, labels: string[], team: Object|null, project: Object|null}>}
+ */
+export async function getIssueRoutingInfo(linearClient, issueId) {
+    try {
+        const issue = await linearClient.issue(issueId);
+
+        const [labels, team, project] = await Promise.all([
+            issue.labels(),
+            issue.team,
+            issue.project
+        ]);
+
+        return {
+            id: issue.id,
+            identifier: issue.identifier,
+            labels: labels.nodes.map(l => l.name),
+            team: team ? { id: team.id, key: team.key, name: team.name } : null,
+            project: project ? { id: project.id, name: project.name } : null
+        };
+    } catch (error) {
+        logger.error('Failed to load routing info for issue', { issueId, error });
+        throw new Error(`Failed to load issue labels: ${error.message}`);
+    }
+}
+
+/**
+ * Check an issue against its team's eligibility rules
+ *
+ * Project overrides in the team config apply too (e.g. a project that
+ * allows higher complexity than the rest of its team).
+ *
+ * @param {Object} issue - From getIssueRoutingInfo()
+ * @returns {{eligible: boolean, reasons: string[], complexity: number|null, scope: string|null, instructions: string|null}}
+ */
+export function checkIssueEligibility(issue) {
+    const config = getTeamConfig(issue.team?.key, issue.project);
+    const rules = config.eligibility || {};
+    const labels = (issue.labels || []).map(l => l.toLowerCase());
+    const reasons = [];
+
+    const blocked = (rules.blockedLabels || []).filter(l => labels.includes(l.toLowerCase()));
+    if (blocked.length > 0) {
+        reasons.push(`Labelled ${formatLabels(blocked)} - V0 only generates frontend UI.`);
+    }
+
+    const missing = (rules.requiredLabels || []).filter(l => !labels.includes(l.toLowerCase()));
+    if (missing.length > 0) {
+        reasons.push(`Missing required label(s): ${formatLabels(missing)}.`);
+    }
+
+    if (Array.isArray(rules.allowedProjects)) {
+        const project = issue.project;
+        const allowed = project && rules.allowedProjects.some(p => p === project.id || p === project.name);
+        if (!allowed) {
+            reasons.push(`Project "${project?.name || 'none'}" is not enabled for V0 on team ${issue.team?.key || 'unknown'}.`);
+        }
+    }
+
+    const complexity = getIssueComplexity(issue.labels) ?? rules.defaultComplexity ?? null;
+    const maxComplexity = rules.maxComplexity ?? 4;
+
+    if (complexity === null) {
+        reasons.push('Missing a `complexity:N` label.');
+    } else if (complexity > maxComplexity) {
+        reasons.push(`Complexity ${complexity} is above this team's V0 limit of ${maxComplexity}.`);
+    }
+
+    const profile = complexity !== null ? config.complexity?.[String(complexity)] : null;
+
+    return {
+        eligible: reasons.length === 0,
+        reasons,
+        complexity,
+        scope: profile?.scope || null,
+        instructions: profile?.instructions || null
+    };
+}
+
+/**
+ * Parse the `complexity:N` label
+ *
+ * @param {string[]} [labels] - Label names
+ * @returns {number|null} Highest complexity found, or null
+ */
+export function getIssueComplexity(labels = []) {
+    const values = labels
+        .map(l => COMPLEXITY_LABEL.exec(l.trim()))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
+/**
+ * Explain a rejection to the user
+ *
+ * @param {Object} issue - From getIssueRoutingInfo()
+ * @param {{reasons: string[]}} result - From checkIssueEligibility()
+ * @returns {string} Markdown message
+ */
+export function formatEligibilityRejection(issue, { reasons }) {
+    let message = `🚫 ${issue.identifier} is out of scope for the V0 agent, so no UI was generated.\n\n`;
+    message += reasons.map(reason => `- ${reason}`).join('\n');
+    message += '\n\nUpdate the issue labels and delegate it again if this should be a frontend task.';
+    return message;
+}
+
+/**
+ * Helper: `a`, `b` formatting for label lists
+ */
+function formatLabels(labels) {
+    return labels.map(l => `\`${l}\``).join(', ');
+}
@@ -0,0 +1,132 @@
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Iteration Diffs
+ *
+ * Compares the files of two V0 iterations (stored per iteration in chat
+ * history) so reviewers can see what a refinement actually changed.
+ */
+
+/** Tool output is collapsed in Linear, but huge diffs still hurt - cut here */
+const MAX_PATCH_CHARS = 60000;
+
+/**
+ * Diff two file snapshots
+ *
+ * @param {Array<{path: string, content: string}>} previousFiles - Earlier iteration
+ * @param {Array<{path: string, content: string}>} nextFiles - New iteration
+ * @returns {{added: Object[], removed: Object[], changed: Object[], unchanged: number, patch: string}}
+ *   Each entry is `{ path, additions, deletions, patch }`; `patch` joins every file's unified diff
+ */
+export function diffIterationFiles(previousFiles = [], nextFiles = []) {
+    const before = new Map(previousFiles.map(file => [file.path, file.content ?? '']));
+    const after = new Map(nextFiles.map(file => [file.path, file.content ?? '']));
+    const paths = [...new Set([...before.keys(), ...after.keys()])].sort();
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const path of paths) {
+        const oldContent = before.get(path);
+        const newContent = after.get(path);
+
+        if (oldContent === newContent) {
+            unchanged++;
+            continue;
+        }
+
+        const entry = diffFile(path, oldContent, newContent);
+
+        if (oldContent === undefined) {
+            added.push(entry);
+        } else if (newContent === undefined) {
+            removed.push(entry);
+        } else {
+            changed.push(entry);
+        }
+    }
+
+    const patch = [...changed, ...added, ...removed].map(entry => entry.patch).join('\n');
+
+    return { added, removed, changed, unchanged, patch };
+}
+
+/**
+ * Short Markdown summary of a diff for a message activity
+ *
+ * @param {Object} diff - From diffIterationFiles()
+ * @param {number} iteration - Iteration number the diff leads to
+ * @returns {string}
+ */
+export function formatDiffSummary({ added, removed, changed, unchanged }, iteration) {
+    const entries = [
+        ...changed.map(entry => `- ✏️ \`${entry.path}\` (+${entry.additions} -${entry.deletions})`),
+        ...added.map(entry => `- ➕ \`${entry.path}\` (+${entry.additions})`),
+        ...removed.map(entry => `- ➖ \`${entry.path}\` (-${entry.deletions})`)
+    ];
+
+    if (entries.length === 0) {
+        return `No file changes in iteration ${iteration} - V0 returned the same files.`;
+    }
+
+    const additions = [...changed, ...added].reduce((sum, entry) => sum + entry.additions, 0);
+    const deletions = [...changed, ...removed].reduce((sum, entry) => sum + entry.deletions, 0);
+
+    let summary = `**Changes in iteration ${iteration}:** ${changed.length} changed, ${added.length} added, ` +
+        `${removed.length} removed (+${additions} -${deletions} lines)`;
+    if (unchanged > 0) {
+        summary += `, ${unchanged} unchanged`;
+    }
+
+    return `${summary}\n\n${entries.join('\n')}`;
+}
+
+/**
+ * Full unified diff for tool output, truncated if very large
+ *
+ * @param {Object} diff - From diffIterationFiles()
+ * @returns {string}
+ */
+export function formatDiffPatch({ patch }) {
+    if (!patch) {
+        return 'No changes';
+    }
+
+    const body = patch.length > MAX_PATCH_CHARS
+        ? `${patch.slice(0, MAX_PATCH_CHARS)}\n... diff truncated (${patch.length - MAX_PATCH_CHARS} more characters)`
+        : patch;
+
+    return `\`\`\`diff\n${body}\n\`\`\``;
+}
+
+/**
+ * Helper: Unified diff and line counts for one file
+ */
+function diffFile(path, oldContent, newContent) {
+    const patch = createTwoFilesPatch(
+        oldContent === undefined ? '/dev/null' : `a/${path}`,
+        newContent === undefined ? '/dev/null' : `b/${path}`,
+        oldContent ?? '',
+        newContent ?? '',
+        undefined,
+        undefined,
+        { context: 3 }
+    ).replace(/^=+\n/, '');
+
+    let additions = 0;
+    let deletions = 0;
+
+    // Skip the ---/+++ file headers; count only hunk lines
+    const hunkLines = patch.split('\n').slice(2);
+    for (const line of hunkLines) {
+        if (line.startsWith('+')) {
+            additions++;
+        } else if (line.startsWith('-')) {
+            deletions++;
+        }
+    }
+
+    return { path, additions, deletions, patch: patch.trimEnd() };
+}
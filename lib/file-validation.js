@@ -0,0 +1,280 @@
+import path from 'path';
+import { parse as parseScript } from '@babel/parser';
+import postcss from 'postcss';
+import { getTeamConfig } from './team-config.js';
+
+/**
+ * Static Validation of V0-Generated Files
+ *
+ * Checks V0 output before it reaches a PR. Rules (per team, from the
+ * `validation` block in config/teams.json):
+ *
+ * - syntax: TS/TSX/JS/JSX parse with Babel, CSS with PostCSS
+ * - disallowed-import: bare imports must be in `allowedPackages`
+ *   (`@scope/*` wildcards allowed; relative and `@/` imports are local)
+ * - missing-use-client: TSX/JSX files calling React hooks need "use client"
+ * - hardcoded-secret: API keys, tokens and private keys in source
+ * - path-escape: files must stay inside `allowedDirectories`
+ *   (repository paths - validate files after mapV0Files())
+ * - hardcoded-url (warning): absolute URLs outside `allowedUrlHosts`
+ *
+ * Errors fail validation (and trigger V0 self-repair); warnings are
+ * reported only.
+ */
+
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs'];
+const JSX_EXTENSIONS = ['.tsx', '.jsx'];
+
+const SECRET_PATTERNS = [
+    { name: 'OpenAI-style API key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/ },
+    { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{30,}/ },
+    { name: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+    { name: 'Linear API key', pattern: /\blin_(api|oauth)_[A-Za-z0-9]{20,}/ },
+    { name: 'Stripe secret key', pattern: /\b(sk|rk)_live_[A-Za-z0-9]{16,}/ },
+    { name: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+    {
+        name: 'hardcoded credential',
+        pattern: /\b(api[_-]?key|secret|token|password|passwd)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i
+    }
+];
+
+const HOOK_CALL = /^use[A-Z]/;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'`)<>]+/g;
+
+/**
+ * Validate a set of generated files
+ *
+ * @param {Array<{path: string, content: string, originalPath?: string}>} files - From mapV0Files()
+ * @param {Object} [options]
+ * @param {string} [options.teamKey] - Linear team key, selects the rule set
+ * @param {{id?: string, name?: string}} [options.project] - Linear project, for project overrides
+ * @returns {{valid: boolean, errors: Object[], warnings: Object[]}}
+ *   Findings: `{ path, originalPath, line, rule, message }`, originalPath being V0's path for the file
+ */
+export function validateV0Files(files, { teamKey, project } = {}) {
+    const rules = getTeamConfig(teamKey, project).validation || {};
+    const findings = files.flatMap(file => validateFile(file, rules));
+
+    const errors = findings.filter(f => f.severity === 'error');
+    const warnings = findings.filter(f => f.severity === 'warning');
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Summarize findings for a tool activity
+ *
+ * @param {Object} result - From validateV0Files()
+ * @param {number} fileCount - Number of files checked
+ * @returns {string}
+ */
+export function formatValidationReport({ valid, errors, warnings }, fileCount) {
+    let report = `${valid ? '✅ Passed' : '❌ Failed'}: ${fileCount} file(s), ${errors.length} error(s), ${warnings.length} warning(s)`;
+
+    for (const finding of [...errors, ...warnings]) {
+        report += `\n- [${finding.rule}] ${formatLocation(finding)}: ${finding.message}`;
+    }
+
+    return report;
+}
+
+/**
+ * Build the feedback sent to V0 to fix validation errors
+ *
+ * Files are named by their V0 paths, not where they were mapped to.
+ *
+ * @param {Object} result - From validateV0Files()
+ * @returns {string} Refinement prompt
+ */
+export function formatRepairPrompt({ errors }) {
+    const lines = errors.map(error =>
+        `- ${formatLocation({ ...error, path: error.originalPath })} (${error.rule}): ${error.message}`);
+
+    return 'The generated code failed our automated checks. Fix these problems ' +
+        'without changing the design or behaviour, and return the complete corrected files:\n' +
+        lines.join('\n');
+}
+
+/**
+ * Helper: All findings for one file
+ */
+function validateFile(file, rules) {
+    const findings = [];
+    const originalPath = file.originalPath || file.path;
+    const add = (severity, rule, message, line = null) => findings.push({ path: file.path, originalPath, line, severity, rule, message });
+    const extension = path.extname(file.path).toLowerCase();
+
+    const pathProblem = checkPath(file.path, rules.allowedDirectories);
+    if (pathProblem) {
+        add('error', 'path-escape', pathProblem);
+    }
+
+    if (SCRIPT_EXTENSIONS.includes(extension)) {
+        validateScript(file, extension, rules, add);
+    } else if (extension === '.css') {
+        try {
+            postcss.parse(file.content, { from: file.path });
+        } catch (error) {
+            add('error', 'syntax', error.reason || error.message, error.line ?? null);
+        }
+    }
+
+    const secretLines = new Set();
+    for (const { name, pattern } of SECRET_PATTERNS) {
+        const match = pattern.exec(file.content);
+        const line = match && lineOf(file.content, match.index);
+        if (match && !secretLines.has(line)) {
+            secretLines.add(line);
+            add('error', 'hardcoded-secret', `Possible ${name} - read it from an environment variable instead`, line);
+        }
+    }
+
+    const allowedHosts = rules.allowedUrlHosts || [];
+    for (const match of file.content.matchAll(URL_PATTERN)) {
+        const host = hostOf(match[0]);
+        if (host && !allowedHosts.includes(host)) {
+            add('warning', 'hardcoded-url', `Hardcoded URL ${match[0]}`, lineOf(file.content, match.index));
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Helper: Parse a script file and check its imports and hooks
+ */
+function validateScript(file, extension, rules, add) {
+    let ast;
+    try {
+        ast = parseScript(file.content, {
+            sourceType: 'module',
+            plugins: extension === '.ts' ? ['typescript'] : ['typescript', 'jsx']
+        });
+    } catch (error) {
+        add('error', 'syntax', error.message.replace(/\s*\(\d+:\d+\)$/, ''), error.loc?.line ?? null);
+        return;
+    }
+
+    const imports = [];
+    let firstHook = null;
+
+    walk(ast.program, (node) => {
+        if ((node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration') && node.source) {
+            imports.push({ specifier: node.source.value, line: node.loc.start.line });
+        }
+        if (node.type === 'ImportExpression' && node.source?.type === 'StringLiteral') {
+            imports.push({ specifier: node.source.value, line: node.loc.start.line });
+        }
+        if (node.type === 'CallExpression') {
+            const callee = node.callee;
+            // Babel parses import("x") as a call with an Import callee
+            const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+            if ((isRequire || callee.type === 'Import') && node.arguments[0]?.type === 'StringLiteral') {
+                imports.push({ specifier: node.arguments[0].value, line: node.loc.start.line });
+            }
+            const hookName = callee.type === 'Identifier' ? callee.name : callee.property?.name;
+            if (!firstHook && hookName && HOOK_CALL.test(hookName)) {
+                firstHook = { name: hookName, line: node.loc.start.line };
+            }
+        }
+    });
+
+    const allowedPackages = rules.allowedPackages || [];
+    for (const { specifier, line } of imports) {
+        const packageName = getPackageName(specifier);
+        if (packageName && !isPackageAllowed(packageName, allowedPackages)) {
+            add('error', 'disallowed-import', `"${packageName}" is not in the allowed package list`, line);
+        }
+    }
+
+    const isClient = ast.program.directives.some(d => d.value.value === 'use client');
+    if (JSX_EXTENSIONS.includes(extension) && firstHook && !isClient) {
+        add('error', 'missing-use-client', `Calls ${firstHook.name}() but the file has no "use client" directive`, firstHook.line);
+    }
+}
+
+/**
+ * Helper: Depth-first visit of every AST node
+ */
+function walk(node, visit) {
+    visit(node);
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'loc' || !value || typeof value !== 'object') {
+            continue;
+        }
+        for (const child of Array.isArray(value) ? value : [value]) {
+            if (child && typeof child.type === 'string') {
+                walk(child, visit);
+            }
+        }
+    }
+}
+
+/**
+ * Helper: Package name of a bare specifier, or null for local imports
+ */
+function getPackageName(specifier) {
+    if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('@/')) {
+        return null;
+    }
+
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Helper: Exact match or `@scope/*` wildcard
+ */
+function isPackageAllowed(packageName, allowedPackages) {
+    return allowedPackages.some(allowed =>
+        allowed.endsWith('/*')
+            ? packageName.startsWith(allowed.slice(0, -1))
+            : packageName === allowed
+    );
+}
+
+/**
+ * Helper: Why a file path is outside the allowed directories (null if fine)
+ */
+function checkPath(filePath, allowedDirectories) {
+    if (path.posix.isAbsolute(filePath) || /^[a-zA-Z]:[\\/]/.test(filePath)) {
+        return `Absolute path ${filePath}`;
+    }
+
+    const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+    if (normalized === '..' || normalized.startsWith('../')) {
+        return `Path ${filePath} escapes the repository`;
+    }
+
+    if (allowedDirectories?.length && !allowedDirectories.some(dir => normalized.startsWith(`${dir}/`))) {
+        return `Path ${filePath} is outside the allowed directories (${allowedDirectories.join(', ')})`;
+    }
+
+    return null;
+}
+
+/**
+ * Helper: 1-based line number of a string offset
+ */
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Helper: Lower-case hostname, or '' for unparseable URLs
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Helper: 'components/button.tsx:12'
+ */
+function formatLocation({ path: filePath, line }) {
+    return line ? `${filePath}:${line}` : filePath;
+}
@@ -0,0 +1,289 @@
+import http from 'http';
+import { createHash } from 'crypto';
+
+/**
+ * Fake GitHub API
+ *
+ * In-memory stand-in for the part of the GitHub REST API that lib/github.js
+ * uses, for local development and testing:
+ *
+ * - GET  /repos/:owner/:repo/git/ref/heads/:branch
+ * - GET  /repos/:owner/:repo/git/commits/:sha
+ * - GET  /repos/:owner/:repo/git/trees/:sha (flat, as with ?recursive=1)
+ * - POST /repos/:owner/:repo/git/trees (base_tree, inline content, `sha: null` deletes)
+ * - POST /repos/:owner/:repo/git/commits
+ * - POST /repos/:owner/:repo/git/refs, PATCH /repos/:owner/:repo/git/refs/heads/:branch
+ * - GET  /repos/:owner/:repo/pulls?state=open&head=owner:branch, POST /repos/:owner/:repo/pulls
+ *
+ * Point GITHUB_API_URL at startFakeGitHubServer()'s URL (see
+ * scripts/fake-github-server.js). Object SHAs are content hashes, so the same
+ * files always produce the same trees.
+ */
+
+/**
+ * Start the fake GitHub HTTP server
+ *
+ * Accepts any bearer token and a single repository.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.repository='acme/web'] - `owner/repo` (GITHUB_REPOSITORY)
+ * @param {string} [options.baseBranch='main'] - Branch created with the initial files
+ * @param {Object<string, string>} [options.files] - Initial files on the base branch, path → content
+ * @returns {Promise<Object>} `url` (the GITHUB_API_URL to use), close(), requests, pulls, readBranch(branch), commitsOn(branch)
+ */
+export async function startFakeGitHubServer({
+    port = 0,
+    host = '127.0.0.1',
+    repository = 'acme/web',
+    baseBranch = 'main',
+    files = { 'README.md': '# acme/web\n' }
+} = {}) {
+    const repo = createRepository();
+    const requests = [];
+    const pulls = [];
+    const repoPath = `/repos/${repository}`;
+
+    repo.setRef(baseBranch, repo.commit({
+        message: 'Initial commit',
+        tree: repo.writeTree(Object.entries(files).map(([path, content]) => ({ path, content }))),
+        parents: []
+    }));
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://fake-github');
+        const route = url.pathname;
+
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return send(401, { message: 'Bad credentials' });
+        }
+
+        if (!route.startsWith(`${repoPath}/`)) {
+            return send(404, { message: 'Not Found' });
+        }
+
+        try {
+            const body = ['POST', 'PATCH'].includes(req.method) ? await readJson(req) : null;
+            const resource = route.slice(repoPath.length);
+            const match = (method, pattern) => req.method === method && pattern.exec(resource);
+            let result;
+
+            requests.push({ method: req.method, path: route + url.search, body });
+
+            if ((result = match('GET', /^\/git\/ref\/heads\/(.+)$/))) {
+                const sha = repo.getRef(result[1]);
+                return sha
+                    ? send(200, { ref: `refs/heads/${result[1]}`, object: { type: 'commit', sha } })
+                    : send(404, { message: 'Not Found' });
+            }
+
+            if ((result = match('GET', /^\/git\/commits\/([0-9a-f]+)$/))) {
+                const commit = repo.getCommit(result[1]);
+                return commit ? send(200, toApiCommit(result[1], commit)) : send(404, { message: 'Not Found' });
+            }
+
+            if ((result = match('GET', /^\/git\/trees\/([0-9a-f]+)$/))) {
+                const tree = repo.getTree(result[1]);
+                return tree ? send(200, toApiTree(result[1], tree)) : send(404, { message: 'Not Found' });
+            }
+
+            if (match('POST', /^\/git\/trees$/)) {
+                const sha = repo.writeTree(body.tree || [], body.base_tree);
+                return send(201, toApiTree(sha, repo.getTree(sha)));
+            }
+
+            if (match('POST', /^\/git\/commits$/)) {
+                if (!repo.getTree(body.tree) || (body.parents || []).some(parent => !repo.getCommit(parent))) {
+                    return send(422, { message: 'Tree or parent SHA not found' });
+                }
+                const sha = repo.commit(body);
+                return send(201, toApiCommit(sha, repo.getCommit(sha)));
+            }
+
+            if (match('POST', /^\/git\/refs$/)) {
+                const branch = String(body.ref || '').replace(/^refs\/heads\//, '');
+                if (repo.getRef(branch)) {
+                    return send(422, { message: 'Reference already exists' });
+                }
+                repo.setRef(branch, body.sha);
+                return send(201, { ref: body.ref, object: { type: 'commit', sha: body.sha } });
+            }
+
+            if ((result = match('PATCH', /^\/git\/refs\/heads\/(.+)$/))) {
+                if (!repo.getRef(result[1])) {
+                    return send(422, { message: 'Reference does not exist' });
+                }
+                repo.setRef(result[1], body.sha);
+                return send(200, { ref: `refs/heads/${result[1]}`, object: { type: 'commit', sha: body.sha } });
+            }
+
+            if (match('GET', /^\/pulls$/)) {
+                const head = url.searchParams.get('head');
+                return send(200, pulls.filter(pull =>
+                    pull.state === url.searchParams.get('state') && (!head || `${repository.split('/')[0]}:${pull.head}` === head)));
+            }
+
+            if (match('POST', /^\/pulls$/)) {
+                if (!repo.getRef(body.head) || !repo.getRef(body.base)) {
+                    return send(422, { message: 'Validation Failed: head or base branch not found' });
+                }
+                const number = pulls.length + 1;
+                const pull = {
+                    number,
+                    state: 'open',
+                    draft: Boolean(body.draft),
+                    title: body.title,
+                    body: body.body,
+                    head: body.head,
+                    base: body.base,
+                    html_url: `https://github.com/${repository}/pull/${number}`
+                };
+                pulls.push(pull);
+                return send(201, pull);
+            }
+
+            send(404, { message: `No fake route for ${req.method} ${route}` });
+        } catch (error) {
+            send(error.status || 500, { message: error.message });
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        url: `http://${host}:${server.address().port}`,
+        requests,
+        pulls,
+
+        /**
+         * Files on a branch head, path → content (null if the branch doesn't exist)
+         *
+         * @param {string} branch
+         * @returns {Object<string, string>|null}
+         */
+        readBranch(branch) {
+            const sha = repo.getRef(branch);
+            return sha ? repo.readFiles(repo.getCommit(sha).tree) : null;
+        },
+
+        /**
+         * Commits on a branch, newest first
+         *
+         * @param {string} branch
+         * @returns {Array<{sha: string, message: string, parents: string[]}>}
+         */
+        commitsOn(branch) {
+            const history = [];
+            for (let sha = repo.getRef(branch); sha; sha = repo.getCommit(sha).parents[0]) {
+                history.push({ sha, ...repo.getCommit(sha) });
+            }
+            return history;
+        },
+
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+/**
+ * Helper: Content-addressed blobs, flat trees, commits and refs
+ */
+function createRepository() {
+    const blobs = new Map();
+    const trees = new Map();
+    const commits = new Map();
+    const refs = new Map();
+
+    const hash = (kind, value) => createHash('sha1').update(`${kind}\0${JSON.stringify(value)}`).digest('hex');
+
+    return {
+        getRef: branch => refs.get(branch) || null,
+        setRef: (branch, sha) => refs.set(branch, sha),
+        getCommit: sha => commits.get(sha) || null,
+        getTree: sha => trees.get(sha) || null,
+
+        writeTree(entries, baseTree) {
+            if (baseTree && !trees.has(baseTree)) {
+                throw Object.assign(new Error('base_tree not found'), { status: 422 });
+            }
+
+            const tree = new Map(baseTree ? trees.get(baseTree) : []);
+
+            for (const entry of entries) {
+                if (entry.content !== undefined) {
+                    const sha = hash('blob', entry.content);
+                    blobs.set(sha, entry.content);
+                    tree.set(entry.path, { mode: entry.mode || '100644', sha });
+                } else if (entry.sha === null) {
+                    tree.delete(entry.path);
+                } else if (blobs.has(entry.sha)) {
+                    tree.set(entry.path, { mode: entry.mode || '100644', sha: entry.sha });
+                } else {
+                    throw Object.assign(new Error(`Blob ${entry.sha} not found`), { status: 422 });
+                }
+            }
+
+            const sorted = new Map([...tree].sort(([a], [b]) => a.localeCompare(b)));
+            const sha = hash('tree', [...sorted]);
+            trees.set(sha, sorted);
+            return sha;
+        },
+
+        commit({ message, tree, parents = [] }) {
+            const sha = hash('commit', { message, tree, parents, at: commits.size });
+            commits.set(sha, { message, tree, parents });
+            return sha;
+        },
+
+        readFiles(treeSha) {
+            return Object.fromEntries([...trees.get(treeSha)].map(([path, { sha }]) => [path, blobs.get(sha)]));
+        }
+    };
+}
+
+/**
+ * Helper: Commit as the API returns it
+ */
+function toApiCommit(sha, { message, tree, parents }) {
+    return {
+        sha,
+        message,
+        tree: { sha: tree },
+        parents: parents.map(sha => ({ sha }))
+    };
+}
+
+/**
+ * Helper: Tree as the API returns it with ?recursive=1
+ */
+function toApiTree(sha, tree) {
+    return {
+        sha,
+        truncated: false,
+        tree: [...tree].map(([path, entry]) => ({ path, mode: entry.mode, type: 'blob', sha: entry.sha }))
+    };
+}
+
+/**
+ * Helper: Parse a JSON request body
+ */
+async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        throw Object.assign(new Error('Problems parsing JSON'), { status: 400 });
+    }
+}
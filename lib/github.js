@@ -0,0 +1,262 @@
+import 'dotenv/config';
+import { logger } from './logger.js';
+
+/**
+ * GitHub PR Automation
+ *
+ * Commits V0-generated files to a branch named after the Linear issue and
+ * opens a draft PR linking back to the issue and V0 demo.
+ *
+ * Uses the Git Data API so the whole file set lands in a single commit
+ * without needing a local checkout. GITHUB_API_URL can point at a local
+ * fake GitHub API for testing (see lib/github-fake.js).
+ */
+
+/**
+ * Read GitHub configuration from the environment
+ *
+ * @returns {{token: string, owner: string, repo: string, baseBranch: string, apiUrl: string}}
+ */
+function getGitHubConfig() {
+    const token = process.env.GITHUB_TOKEN;
+    const repository = process.env.GITHUB_REPOSITORY;
+
+    if (!token) {
+        throw new Error('GITHUB_TOKEN environment variable is required');
+    }
+
+    if (!repository || !repository.includes('/')) {
+        throw new Error('GITHUB_REPOSITORY environment variable is required (format: owner/repo)');
+    }
+
+    const [owner, repo] = repository.split('/');
+
+    return {
+        token,
+        owner,
+        repo,
+        baseBranch: process.env.GITHUB_BASE_BRANCH || 'main',
+        apiUrl: (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '')
+    };
+}
+
+/**
+ * Whether PR automation is configured
+ *
+ * @returns {boolean}
+ */
+export function isGitHubConfigured() {
+    return Boolean(process.env.GITHUB_TOKEN && process.env.GITHUB_REPOSITORY);
+}
+
+/**
+ * Branch name for a Linear issue
+ *
+ * @param {string} identifier - Linear issue identifier (e.g., 'SYS-353')
+ * @returns {string} e.g. 'v0/sys-353'
+ */
+export function branchNameForIssue(identifier) {
+    const slug = String(identifier).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+    return `v0/${slug}`;
+}
+
+/**
+ * Commit V0 files to the issue branch and open (or reuse) a draft PR
+ *
+ * Re-running for the same issue adds a new commit on top of the existing
+ * branch and returns the already-open PR, so refinements update the same PR.
+ * Files committed last time that aren't in `files` any more are removed
+ * from the branch (or restored to the base branch's version if they
+ * existed there).
+ *
+ * @param {Object} params
+ * @param {Object} params.issue - Linear issue ({ identifier, title, url })
+ * @param {string} params.chatId - V0 chat ID
+ * @param {string} params.demoUrl - V0 demo URL
+ * @param {Array<{path: string, content: string}>} params.files - Mapped files (see mapV0Files())
+ * @param {string[]} [params.previousPaths] - Paths committed by the previous call for this issue
+ * @returns {Promise<{url: string, number: number, branch: string, commitSha: string, created: boolean}>}
+ */
+export async function createDraftPullRequest({ issue, chatId, demoUrl, files, previousPaths = [] }) {
+    const config = getGitHubConfig();
+
+    if (!files?.length) {
+        throw new Error('No files to commit');
+    }
+
+    const branch = branchNameForIssue(issue.identifier);
+    const repoPath = `/repos/${config.owner}/${config.repo}`;
+
+    try {
+        // 1. Resolve the parent commit (existing branch head, or base branch head)
+        const existingRef = await githubRequest(config, 'GET', `${repoPath}/git/ref/heads/${branch}`);
+        const parentRef = existingRef || await githubRequest(config, 'GET', `${repoPath}/git/ref/heads/${config.baseBranch}`);
+
+        if (!parentRef) {
+            throw new Error(`Base branch "${config.baseBranch}" not found`);
+        }
+
+        const parentSha = parentRef.object.sha;
+        const parentCommit = await githubRequest(config, 'GET', `${repoPath}/git/commits/${parentSha}`);
+
+        // 2. Create a tree with the generated files on top of the parent tree,
+        //    without the files this iteration no longer generates
+        const currentPaths = new Set(files.map(file => file.path));
+        const removedPaths = existingRef ? previousPaths.filter(filePath => !currentPaths.has(filePath)) : [];
+
+        const tree = await githubRequest(config, 'POST', `${repoPath}/git/trees`, {
+            base_tree: parentCommit.tree.sha,
+            tree: [
+                ...files.map(file => ({
+                    path: file.path,
+                    mode: '100644',
+                    type: 'blob',
+                    content: file.content
+                })),
+                ...await revertedTreeEntries(config, repoPath, removedPaths)
+            ]
+        });
+
+        // 3. Commit the tree
+        const commit = await githubRequest(config, 'POST', `${repoPath}/git/commits`, {
+            message: `${issue.identifier}: ${existingRef ? 'Update' : 'Add'} V0-generated UI\n\nV0 chat: ${chatId}\nDemo: ${demoUrl}`,
+            tree: tree.sha,
+            parents: [parentSha]
+        });
+
+        // 4. Point the branch at the new commit
+        if (existingRef) {
+            await githubRequest(config, 'PATCH', `${repoPath}/git/refs/heads/${branch}`, {
+                sha: commit.sha
+            });
+        } else {
+            await githubRequest(config, 'POST', `${repoPath}/git/refs`, {
+                ref: `refs/heads/${branch}`,
+                sha: commit.sha
+            });
+        }
+
+        // 5. Reuse an open PR for this branch, otherwise open a draft
+        const openPulls = await githubRequest(
+            config,
+            'GET',
+            `${repoPath}/pulls?state=open&head=${encodeURIComponent(`${config.owner}:${branch}`)}`
+        );
+
+        if (openPulls?.length) {
+            return {
+                url: openPulls[0].html_url,
+                number: openPulls[0].number,
+                branch,
+                commitSha: commit.sha,
+                created: false
+            };
+        }
+
+        const pull = await githubRequest(config, 'POST', `${repoPath}/pulls`, {
+            title: `${issue.identifier}: ${issue.title}`,
+            head: branch,
+            base: config.baseBranch,
+            body: formatPullRequestBody({ issue, chatId, demoUrl, files }),
+            draft: true
+        });
+
+        return {
+            url: pull.html_url,
+            number: pull.number,
+            branch,
+            commitSha: commit.sha,
+            created: true
+        };
+    } catch (error) {
+        logger.error('Failed to create draft PR', { issueIdentifier: issue.identifier, error });
+        throw new Error(`Failed to create draft PR: ${error.message}`);
+    }
+}
+
+/**
+ * Format the PR description
+ *
+ * @param {Object} params
+ * @param {Object} params.issue - Linear issue ({ identifier, title, url })
+ * @param {string} params.chatId - V0 chat ID
+ * @param {string} params.demoUrl - V0 demo URL
+ * @param {Array<{path: string}>} params.files - Committed files
+ * @returns {string} Markdown PR body
+ */
+export function formatPullRequestBody({ issue, chatId, demoUrl, files }) {
+    let body = `## ${issue.identifier}: ${issue.title}\n\n`;
+
+    body += `- **Linear issue**: ${issue.url ? `[${issue.identifier}](${issue.url})` : issue.identifier}\n`;
+    body += `- **V0 demo**: [View demo](${demoUrl})\n`;
+    body += `- **V0 chat**: \`${chatId}\`\n\n`;
+
+    body += `## Generated Files\n`;
+    for (const file of files) {
+        body += `- \`${file.path}\`\n`;
+    }
+
+    body += `\n> 🤖 Generated by the V0 Linear agent. Review before marking ready.\n`;
+
+    return body;
+}
+
+/**
+ * Helper: Tree entries that undo earlier commits of `paths`
+ *
+ * Files that exist on the base branch get its version back (V0 output mapped
+ * over a repository file); the rest are deleted (`sha: null`).
+ */
+async function revertedTreeEntries(config, repoPath, paths) {
+    if (paths.length === 0) {
+        return [];
+    }
+
+    const baseRef = await githubRequest(config, 'GET', `${repoPath}/git/ref/heads/${config.baseBranch}`);
+    const baseEntries = new Map();
+
+    if (baseRef) {
+        const baseCommit = await githubRequest(config, 'GET', `${repoPath}/git/commits/${baseRef.object.sha}`);
+        const baseTree = await githubRequest(config, 'GET', `${repoPath}/git/trees/${baseCommit.tree.sha}?recursive=1`);
+
+        for (const entry of baseTree.tree) {
+            baseEntries.set(entry.path, entry);
+        }
+    }
+
+    return paths.map(filePath => {
+        const original = baseEntries.get(filePath);
+        return original?.type === 'blob'
+            ? { path: filePath, mode: original.mode, type: 'blob', sha: original.sha }
+            : { path: filePath, mode: '100644', type: 'blob', sha: null };
+    });
+}
+
+/**
+ * Helper: Call the GitHub REST API
+ *
+ * GET requests resolve to null on 404 so callers can probe for existence.
+ */
+async function githubRequest(config, method, path, body) {
+    const response = await fetch(`${config.apiUrl}${path}`, {
+        method,
+        headers: {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': `Bearer ${config.token}`,
+            'X-GitHub-Api-Version': '2022-11-28',
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (method === 'GET' && response.status === 404) {
+        return null;
+    }
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`GitHub ${method} ${path} failed (${response.status}): ${error}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+}
@@ -0,0 +1,220 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Workspace Installation Store
+ *
+ * Persists one agent installation per Linear workspace (organization),
+ * created by the OAuth `actor=app` flow. Access and refresh tokens are
+ * encrypted at rest with AES-256-GCM using INSTALLATION_ENCRYPTION_KEY.
+ *
+ * Storage: one JSON file per organization in INSTALLATIONS_DIR
+ * (default: data/installations).
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Directory holding installation records
+ */
+function getInstallationsDir() {
+    return process.env.INSTALLATIONS_DIR
+        ? path.resolve(process.env.INSTALLATIONS_DIR)
+        : path.join(PROJECT_ROOT, 'data', 'installations');
+}
+
+/**
+ * Save (or replace) a workspace installation
+ *
+ * @param {Object} installation
+ * @param {string} installation.organizationId - Linear organization ID
+ * @param {string} [installation.organizationName]
+ * @param {string} installation.accessToken - Agent access token
+ * @param {string} [installation.refreshToken] - OAuth refresh token
+ * @param {number} [installation.expiresIn] - Access token lifetime in seconds
+ * @param {string[]} [installation.scopes] - Granted scopes
+ * @param {string} installation.agentUserId - Agent's Linear user ID
+ * @param {string} [installation.agentName]
+ * @returns {Promise<Object>} Stored installation (without tokens)
+ */
+export async function saveInstallation({
+    organizationId,
+    organizationName,
+    accessToken,
+    refreshToken,
+    expiresIn,
+    scopes = [],
+    agentUserId,
+    agentName
+}) {
+    if (!organizationId) {
+        throw new Error('organizationId is required');
+    }
+
+    const existing = await readInstallation(organizationId);
+    const now = new Date().toISOString();
+
+    const record = {
+        organizationId,
+        organizationName: organizationName || existing?.organizationName || null,
+        agentUserId: agentUserId || existing?.agentUserId,
+        agentName: agentName || existing?.agentName || null,
+        scopes: scopes.length ? scopes : existing?.scopes || [],
+        accessToken: encrypt(accessToken),
+        refreshToken: refreshToken ? encrypt(refreshToken) : existing?.refreshToken || null,
+        expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+        installedAt: existing?.installedAt || now,
+        updatedAt: now
+    };
+
+    await writeInstallation(record);
+
+    return withoutTokens(record);
+}
+
+/**
+ * Get a workspace installation with decrypted tokens
+ *
+ * @param {string} organizationId - Linear organization ID
+ * @returns {Promise<Object|null>} Installation with `accessToken` / `refreshToken` as plain strings
+ */
+export async function getInstallation(organizationId) {
+    const record = await readInstallation(organizationId);
+
+    if (!record) {
+        return null;
+    }
+
+    return {
+        ...record,
+        accessToken: decrypt(record.accessToken),
+        refreshToken: record.refreshToken ? decrypt(record.refreshToken) : null
+    };
+}
+
+/**
+ * List installations (tokens omitted)
+ *
+ * @returns {Promise<Object[]>}
+ */
+export async function listInstallations() {
+    let entries;
+    try {
+        entries = await readdir(getInstallationsDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const records = await Promise.all(
+        entries
+            .filter(name => name.endsWith('.json'))
+            .map(name => readInstallation(name.slice(0, -'.json'.length)))
+    );
+
+    return records.filter(Boolean).map(withoutTokens);
+}
+
+/**
+ * Delete a workspace installation (uninstall / revocation)
+ *
+ * @param {string} organizationId - Linear organization ID
+ * @returns {Promise<boolean>} true if an installation was removed
+ */
+export async function removeInstallation(organizationId) {
+    try {
+        await unlink(fileFor(organizationId));
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        throw new Error(`Failed to remove installation ${organizationId}: ${error.message}`);
+    }
+}
+
+/**
+ * Helper: Path of an organization's installation file
+ */
+function fileFor(organizationId) {
+    return path.join(getInstallationsDir(), `${String(organizationId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+}
+
+/**
+ * Helper: Read a raw (encrypted) installation record
+ */
+async function readInstallation(organizationId) {
+    try {
+        return JSON.parse(await readFile(fileFor(organizationId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read installation ${organizationId}: ${error.message}`);
+    }
+}
+
+/**
+ * Helper: Atomically write an installation record (owner read/write only)
+ */
+async function writeInstallation(record) {
+    const file = fileFor(record.organizationId);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+
+    await mkdir(getInstallationsDir(), { recursive: true, mode: 0o700 });
+    await writeFile(tmpFile, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await rename(tmpFile, file);
+}
+
+/**
+ * Helper: Strip encrypted tokens for display
+ */
+function withoutTokens({ accessToken, refreshToken, ...record }) {
+    return { ...record, hasRefreshToken: Boolean(refreshToken) };
+}
+
+/**
+ * Helper: 32-byte key derived from INSTALLATION_ENCRYPTION_KEY
+ */
+function getEncryptionKey() {
+    const secret = process.env.INSTALLATION_ENCRYPTION_KEY;
+
+    if (!secret) {
+        throw new Error('INSTALLATION_ENCRYPTION_KEY environment variable is required');
+    }
+
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Helper: AES-256-GCM encrypt
+ */
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Helper: AES-256-GCM decrypt
+ */
+function decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(data, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
@@ -0,0 +1,140 @@
+import { randomUUID } from 'crypto';
+import { getLinearIssue } from './linear.js';
+import { formatIssueForV0Prompt, getDesignRequirements, getPromptProfile } from './prompts.js';
+import { createV0Session, continueV0Session, getV0SessionFiles } from './v0.js';
+import { getChatHistoryStore } from './chat-history.js';
+import { diffIterationFiles, formatDiffSummary } from './file-diff.js';
+
+/**
+ * Issue-driven V0 Sessions (outside Linear agent sessions)
+ *
+ * Generate, refine and inspect V0 chats straight from a Linear issue
+ * identifier, for the MCP server and the CLI. Uses LINEAR_API_KEY (see
+ * lib/linear.js) rather than a workspace agent token.
+ *
+ * Sessions are recorded in the same chat history store as the webhook path,
+ * with an ID prefix naming where they came from (e.g. `mcp-`, `cli-`)
+ * since there's no Linear agent session behind them.
+ */
+
+/**
+ * Start a V0 chat from a Linear issue
+ *
+ * @param {string} issueId - Issue identifier (e.g. 'SYS-353') or UUID
+ * @param {Object} [options]
+ * @param {string} [options.source='cli'] - Session ID prefix
+ * @returns {Promise<{issue: Object, record: Object, v0Session: Object}>}
+ */
+export async function createSessionFromIssue(issueId, { source = 'cli' } = {}) {
+    const issue = await getLinearIssue(issueId);
+    const profile = getPromptProfile(issue.team?.key, issue.project);
+    const prompt = formatIssueForV0Prompt(issue);
+
+    const v0Session = await createV0Session({
+        prompt,
+        context: {
+            framework: profile.framework,
+            styling: profile.styling,
+            ...getDesignRequirements(issue.labels)
+        }
+    });
+
+    const store = getChatHistoryStore();
+    const sessionId = `${source}-${randomUUID()}`;
+    await store.createSession({ sessionId, issueId: issue.id, issueIdentifier: issue.identifier });
+    await store.updateSession(sessionId, { teamKey: issue.team?.key || null, project: issue.project });
+    const record = await store.appendIteration(sessionId, {
+        type: 'create',
+        prompt,
+        chatId: v0Session.chatId,
+        demoUrl: v0Session.demoUrl,
+        files: v0Session.files
+    });
+
+    return { issue, record, v0Session };
+}
+
+/**
+ * Send refinement feedback to an existing V0 chat
+ *
+ * Chats without a chat history record are still refined, just not recorded.
+ *
+ * @param {Object} params
+ * @param {string} [params.chatId] - V0 chat ID
+ * @param {string} [params.issueId] - Issue identifier - uses the issue's latest chat
+ * @param {string} params.feedback - What to change
+ * @returns {Promise<{record: Object|null, v0Session: Object, changes: string|null}>}
+ *   record: updated chat history (null if the chat isn't recorded);
+ *   changes: file diff summary against the previous iteration
+ */
+export async function refineSession({ chatId, issueId, feedback }) {
+    const { record, chatId: targetChatId } = await resolveSession({ chatId, issueId });
+    const previousFiles = record?.iterations[record.iterations.length - 1]?.files || null;
+
+    const v0Session = await continueV0Session({ chatId: targetChatId, feedback });
+
+    const updated = record
+        ? await getChatHistoryStore().appendIteration(record.sessionId, {
+            prompt: feedback,
+            chatId: v0Session.chatId,
+            demoUrl: v0Session.demoUrl,
+            files: v0Session.files
+        })
+        : null;
+
+    const changes = updated && previousFiles
+        ? formatDiffSummary(diffIterationFiles(previousFiles, v0Session.files), updated.iterations.length)
+        : null;
+
+    return { record: updated, v0Session, changes };
+}
+
+/**
+ * Current state of a V0 chat
+ *
+ * @param {Object} params
+ * @param {string} [params.chatId] - V0 chat ID
+ * @param {string} [params.issueId] - Issue identifier - uses the issue's latest chat
+ * @returns {Promise<{record: Object|null, chatId: string, demoUrl: string|null, files: Array}>}
+ */
+export async function getSessionStatus({ chatId, issueId }) {
+    const { record, chatId: targetChatId } = await resolveSession({ chatId, issueId });
+    const latest = record?.iterations[record.iterations.length - 1];
+
+    // Stored files first - the V0 API only returns files with each message
+    const files = latest?.chatId === targetChatId && latest.files?.length > 0
+        ? latest.files
+        : await getV0SessionFiles(targetChatId);
+
+    return {
+        record,
+        chatId: targetChatId,
+        demoUrl: record?.demoUrls[record.demoUrls.length - 1] || null,
+        files
+    };
+}
+
+/**
+ * Find the chat history record and V0 chat a request refers to
+ *
+ * @param {{chatId?: string, issueId?: string}} params
+ * @returns {Promise<{record: Object|null, chatId: string}>}
+ */
+async function resolveSession({ chatId, issueId }) {
+    const store = getChatHistoryStore();
+
+    if (chatId) {
+        return { record: await store.findSessionByChatId(chatId), chatId };
+    }
+
+    if (!issueId) {
+        throw new Error('Provide chatId or issueId');
+    }
+
+    const record = await store.findSessionByIssue(issueId);
+    if (!record?.chatId) {
+        throw new Error(`No V0 chat found for issue ${issueId} - generate one first`);
+    }
+
+    return { record, chatId: record.chatId };
+}
@@ -0,0 +1,440 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger, getLogContext, withLogContext } from './logger.js';
+
+/**
+ * Durable In-Process Job Queue
+ *
+ * Lets the webhook acknowledge Linear immediately while slow work (V0
+ * generation, PR creation) runs in the background.
+ *
+ * - Concurrency limit (JOB_CONCURRENCY, default 2); jobs for the same agent
+ *   session run one at a time, in the order they were queued
+ * - Retries with exponential backoff (JOB_MAX_ATTEMPTS, JOB_RETRY_BACKOFF_MS)
+ * - Every state change is persisted to JOB_QUEUE_DIR (default: data/jobs),
+ *   so queued and interrupted jobs resume after a crash or restart
+ *
+ * Job handlers must be safe to re-run: a job interrupted mid-way is retried
+ * from the start, so handlers should skip steps already recorded as done.
+ *
+ * Jobs can be canceled (e.g. when a user stops the agent session): queued
+ * jobs never run, and running jobs have their AbortSignal aborted.
+ *
+ * Each job keeps the log context it was queued in (delivery ID, session,
+ * issue), so its log lines can be traced back to the webhook.
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Finished jobs are kept this long for debugging, then pruned on start() */
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ACTIVE_STATES = ['queued', 'running', 'retrying'];
+
+let jobQueue = null;
+
+/**
+ * Get the shared job queue
+ *
+ * @returns {ReturnType<typeof createJobQueue>}
+ */
+export function getJobQueue() {
+    if (!jobQueue) {
+        jobQueue = createJobQueue({
+            directory: process.env.JOB_QUEUE_DIR
+                ? path.resolve(process.env.JOB_QUEUE_DIR)
+                : path.join(PROJECT_ROOT, 'data', 'jobs'),
+            concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+            maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+            backoffMs: parseInt(process.env.JOB_RETRY_BACKOFF_MS || '5000', 10)
+        });
+    }
+    return jobQueue;
+}
+
+/**
+ * Create a file-backed job queue
+ *
+ * Job shape:
+ * {
+ *   id, type, payload, sessionId,
+ *   state: 'queued' | 'running' | 'retrying' | 'completed' | 'failed' | 'canceled',
+ *   attempts, maxAttempts, lastError, runAt, logContext,
+ *   sequence, // queue order: creation time in ms, bumped past the previous job
+ *   createdAt, updatedAt, startedAt, finishedAt
+ * }
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding one `<jobId>.json` per job
+ * @param {number} [options.concurrency=2] - Max jobs running at once
+ * @param {number} [options.maxAttempts=3] - Attempts before a job is marked failed
+ * @param {number} [options.backoffMs=5000] - Base retry delay (doubles per attempt)
+ */
+export function createJobQueue({ directory, concurrency = 2, maxAttempts = 3, backoffMs = 5000 }) {
+    const handlers = new Map();
+    const jobs = new Map();
+    const ready = [];
+    const timers = new Map();
+    const controllers = new Map();
+    let running = 0;
+    let started = false;
+    let lastSequence = 0;
+
+    const fileFor = (jobId) => path.join(directory, `${jobId}.json`);
+
+    async function persist(job) {
+        job.updatedAt = new Date().toISOString();
+
+        const file = fileFor(job.id);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+
+        await mkdir(directory, { recursive: true });
+        await writeFile(tmpFile, JSON.stringify(job, null, 2));
+        await rename(tmpFile, file);
+    }
+
+    function schedule(job) {
+        const delay = Math.max(0, new Date(job.runAt).getTime() - Date.now());
+
+        if (delay === 0) {
+            ready.push(job.id);
+            pump();
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            timers.delete(job.id);
+            ready.push(job.id);
+            pump();
+        }, delay);
+        timer.unref?.();
+        timers.set(job.id, timer);
+    }
+
+    function pump() {
+        if (!started) {
+            return;
+        }
+
+        for (let i = 0; i < ready.length && running < concurrency;) {
+            const job = jobs.get(ready[i]);
+
+            if (!job || (job.state !== 'queued' && job.state !== 'retrying')) {
+                ready.splice(i, 1);
+            } else if (waitsForSessionJob(job)) {
+                i++;
+            } else {
+                ready.splice(i, 1);
+                running++;
+                const context = { ...job.logContext, agentSessionId: job.sessionId || undefined, jobId: job.id };
+                withLogContext(context, () => execute(job), { replace: true }).finally(() => {
+                    running--;
+                    pump();
+                });
+            }
+        }
+    }
+
+    // Another job of the same session is running, or was queued earlier and isn't done
+    function waitsForSessionJob(job) {
+        if (!job.sessionId) {
+            return false;
+        }
+
+        return [...jobs.values()].some(other =>
+            other !== job &&
+            other.sessionId === job.sessionId &&
+            ACTIVE_STATES.includes(other.state) &&
+            (other.state === 'running' || isQueuedBefore(other, job))
+        );
+    }
+
+    async function execute(job) {
+        const handler = handlers.get(job.type);
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+
+        job.state = 'running';
+        job.attempts++;
+        job.startedAt = new Date().toISOString();
+        await persist(job).catch(error => logger.error('Failed to persist job', { error }));
+
+        logger.info('Running job', { jobType: job.type, attempt: job.attempts, maxAttempts: job.maxAttempts });
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type: ${job.type}`);
+            }
+
+            await handler.run(job.payload, job, { signal: controller.signal });
+
+            job.state = 'completed';
+            job.lastError = null;
+            job.finishedAt = new Date().toISOString();
+            logger.info('Job completed', { jobType: job.type, durationMs: Date.now() - new Date(job.startedAt).getTime() });
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (controller.signal.aborted) {
+                job.state = 'canceled';
+                job.finishedAt = new Date().toISOString();
+                logger.info('Job canceled', { jobType: job.type });
+            } else if (job.attempts < job.maxAttempts && handler) {
+                const delay = backoffMs * 2 ** (job.attempts - 1);
+                job.state = 'retrying';
+                job.runAt = new Date(Date.now() + delay).toISOString();
+                logger.warn('Job failed, retrying', { jobType: job.type, attempt: job.attempts, retryInMs: delay, error });
+                schedule(job);
+            } else {
+                job.state = 'failed';
+                job.finishedAt = new Date().toISOString();
+                logger.error('Job failed permanently', { jobType: job.type, attempts: job.attempts, error });
+
+                try {
+                    await handler?.onFailed?.(job.payload, error, job);
+                } catch (hookError) {
+                    logger.error('Job failure hook errored', { jobType: job.type, error: hookError });
+                }
+            }
+        }
+
+        controllers.delete(job.id);
+        await persist(job).catch(error => logger.error('Failed to persist job', { error }));
+    }
+
+    async function cancel(job) {
+        if (job.state === 'running') {
+            controllers.get(job.id)?.abort();
+            return true;
+        }
+
+        if (job.state !== 'queued' && job.state !== 'retrying') {
+            return false;
+        }
+
+        clearTimeout(timers.get(job.id));
+        timers.delete(job.id);
+
+        job.state = 'canceled';
+        job.lastError = 'Canceled';
+        job.finishedAt = new Date().toISOString();
+        await persist(job);
+
+        logger.info('Job canceled before running', { jobType: job.type, jobId: job.id, agentSessionId: job.sessionId });
+        pump();
+        return true;
+    }
+
+    return {
+        /**
+         * Register the handler for a job type
+         *
+         * @param {string} type - Job type (e.g. 'agentSession.generate')
+         * @param {Object} handler
+         * @param {(payload: Object, job: Object, context: {signal: AbortSignal}) => Promise<void>} handler.run - Throw to retry; stop when `signal` aborts
+         * @param {(payload: Object, error: Error, job: Object) => Promise<void>} [handler.onFailed] - Called once retries are exhausted
+         */
+        registerHandler(type, handler) {
+            handlers.set(type, handler);
+        },
+
+        /**
+         * Add a job to the queue
+         *
+         * @param {string} type - Job type
+         * @param {Object} payload - JSON-serializable job input
+         * @param {Object} [options]
+         * @param {string} [options.sessionId] - Linear agentSession ID (for lookups)
+         * @returns {Promise<Object>} Persisted job
+         */
+        async enqueue(type, payload, { sessionId = null } = {}) {
+            const now = new Date().toISOString();
+            lastSequence = Math.max(Date.now(), lastSequence + 1);
+            const job = {
+                id: crypto.randomUUID(),
+                type,
+                payload,
+                sessionId,
+                state: 'queued',
+                attempts: 0,
+                maxAttempts,
+                lastError: null,
+                runAt: now,
+                logContext: getLogContext(),
+                sequence: lastSequence,
+                createdAt: now,
+                updatedAt: now,
+                startedAt: null,
+                finishedAt: null
+            };
+
+            jobs.set(job.id, job);
+            await persist(job);
+            schedule(job);
+
+            logger.info('Queued job', { jobType: type, jobId: job.id, agentSessionId: sessionId || undefined });
+
+            return job;
+        },
+
+        /**
+         * Load persisted jobs and start processing
+         *
+         * Jobs left 'running' by a crash are re-queued.
+         */
+        async start() {
+            let entries = [];
+            try {
+                entries = await readdir(directory);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            let resumed = 0;
+
+            for (const name of entries.filter(n => n.endsWith('.json'))) {
+                let job;
+                try {
+                    job = JSON.parse(await readFile(path.join(directory, name), 'utf8'));
+                } catch (error) {
+                    logger.error('Skipping unreadable job file', { file: name, error });
+                    continue;
+                }
+
+                if (jobs.has(job.id)) {
+                    continue;
+                }
+
+                if (job.state === 'completed' || job.state === 'failed' || job.state === 'canceled') {
+                    if (Date.now() - new Date(job.finishedAt).getTime() > FINISHED_JOB_RETENTION_MS) {
+                        await unlink(path.join(directory, name)).catch(() => {});
+                    } else {
+                        jobs.set(job.id, job);
+                    }
+                    continue;
+                }
+
+                if (job.state === 'running') {
+                    job.state = 'queued';
+                    await persist(job);
+                }
+
+                jobs.set(job.id, job);
+                schedule(job);
+                resumed++;
+            }
+
+            started = true;
+            if (resumed > 0) {
+                logger.info('Resumed pending jobs', { count: resumed });
+            }
+            pump();
+        },
+
+        /**
+         * Stop scheduling new work (running jobs finish)
+         */
+        stop() {
+            started = false;
+            for (const timer of timers.values()) {
+                clearTimeout(timer);
+            }
+            timers.clear();
+        },
+
+        /**
+         * Cancel a job: queued jobs never run, running jobs are aborted
+         *
+         * @param {string} jobId
+         * @returns {Promise<boolean>} true if the job was still active
+         */
+        async cancelJob(jobId) {
+            const job = jobs.get(jobId);
+            return job ? cancel(job) : false;
+        },
+
+        /**
+         * Cancel every active job for an agent session
+         *
+         * @param {string} sessionId - Linear agentSession ID
+         * @returns {Promise<number>} Number of jobs canceled
+         */
+        async cancelSessionJobs(sessionId) {
+            let canceled = 0;
+            for (const job of jobs.values()) {
+                if (job.sessionId === sessionId && await cancel(job)) {
+                    canceled++;
+                }
+            }
+            return canceled;
+        },
+
+        /**
+         * @param {string} jobId
+         * @returns {Object|null}
+         */
+        getJob(jobId) {
+            return jobs.get(jobId) || null;
+        },
+
+        /**
+         * @param {Object} [filter]
+         * @param {string} [filter.state] - Only jobs in this state
+         * @param {string} [filter.sessionId] - Only jobs for this agent session
+         * @returns {Object[]} Jobs, newest first
+         */
+        listJobs({ state, sessionId } = {}) {
+            return [...jobs.values()]
+                .filter(job => (!state || job.state === state) && (!sessionId || job.sessionId === sessionId))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        /**
+         * Wait until no job is queued, running or retrying
+         *
+         * Jobs queued by the jobs being waited on are waited for too.
+         * Used by the CLI and replay harness to run a webhook to completion.
+         *
+         * @param {Object} [options]
+         * @param {string} [options.sessionId] - Only wait for this agent session's jobs
+         * @param {number} [options.timeoutMs=120000]
+         * @returns {Promise<void>}
+         */
+        async waitForIdle({ sessionId, timeoutMs = 120000 } = {}) {
+            const deadline = Date.now() + timeoutMs;
+            const isActive = job => ACTIVE_STATES.includes(job.state) &&
+                (!sessionId || job.sessionId === sessionId);
+
+            while ([...jobs.values()].some(isActive)) {
+                if (Date.now() > deadline) {
+                    throw new Error(`Jobs still active after ${timeoutMs}ms`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+        },
+
+        /**
+         * @returns {{running: number, queued: number, retrying: number, completed: number, failed: number, canceled: number}}
+         */
+        getStats() {
+            const stats = { running: 0, queued: 0, retrying: 0, completed: 0, failed: 0, canceled: 0 };
+            for (const job of jobs.values()) {
+                stats[job.state] = (stats[job.state] || 0) + 1;
+            }
+            return stats;
+        }
+    };
+}
+
+/**
+ * Helper: Queue order (jobs persisted before `sequence` existed fall back to createdAt)
+ */
+function isQueuedBefore(a, b) {
+    const position = job => job.sequence ?? new Date(job.createdAt).getTime();
+    return position(a) < position(b) || (position(a) === position(b) && a.id < b.id);
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock Linear Agent Client
+ *
+ * In-memory stand-in for the workspace LinearClient, covering the calls the
+ * webhook path makes: issue() (labels, team, project, attachments),
+ * createAgentActivity() and updateAgentSession(). Lets captured webhook
+ * payloads be replayed locally without a Linear workspace (see the CLI's
+ * `replay-webhook` command and setAgentLinearClientFactory()).
+ *
+ * Every activity and session update is kept in `calls` and passed to
+ * `onCall` as it happens.
+ */
+
+/**
+ * Create a mock Linear agent client
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.issues] - Issues to serve, see addIssue()
+ * @param {(call: {method: string, sessionId: string, input: Object}) => void} [options.onCall]
+ * @returns {Object} LinearClient-compatible subset, plus `calls` and `addIssue()`
+ */
+export function createMockLinearClient({ issues = [], onCall = () => {} } = {}) {
+    const issuesById = new Map();
+    const calls = [];
+
+    function record(method, sessionId, input) {
+        const call = { method, sessionId, input, at: new Date().toISOString() };
+        calls.push(call);
+        onCall(call);
+        return { success: true, lastSyncId: calls.length };
+    }
+
+    const client = {
+        calls,
+
+        /**
+         * Serve an issue by UUID and identifier
+         *
+         * @param {Object} issue
+         * @param {string} issue.id - Issue UUID
+         * @param {string} [issue.identifier] - e.g. 'SYS-353'
+         * @param {string} [issue.title]
+         * @param {string} [issue.description]
+         * @param {Array<string|{name: string}>} [issue.labels]
+         * @param {{id: string, key: string, name: string}} [issue.team]
+         * @param {{id: string, name: string}} [issue.project]
+         * @param {{url: string, title?: string}[]} [issue.attachments]
+         */
+        addIssue(issue) {
+            const stored = {
+                ...issue,
+                labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+                attachments: issue.attachments || []
+            };
+
+            issuesById.set(issue.id, stored);
+            if (issue.identifier) {
+                issuesById.set(issue.identifier, stored);
+            }
+        },
+
+        async issue(id) {
+            const issue = issuesById.get(id);
+            if (!issue) {
+                throw new Error(`Entity not found: Issue ${id}`);
+            }
+
+            // Relations are lazy on the real SDK models: methods for
+            // connections, promises for single relations
+            return {
+                id: issue.id,
+                identifier: issue.identifier || issue.id,
+                title: issue.title || '',
+                description: issue.description || '',
+                url: issue.url,
+                labels: async () => ({ nodes: issue.labels.map(name => ({ name })) }),
+                attachments: async () => ({ nodes: issue.attachments }),
+                team: Promise.resolve(issue.team || null),
+                project: Promise.resolve(issue.project || null)
+            };
+        },
+
+        async createAgentActivity(input) {
+            return record('createAgentActivity', input.agentSessionId, input);
+        },
+
+        async updateAgentSession(sessionId, input) {
+            return record('updateAgentSession', sessionId, input);
+        }
+    };
+
+    for (const issue of issues) {
+        client.addIssue(issue);
+    }
+
+    return client;
+}
@@ -1,19 +1,107 @@
 import 'dotenv/config';
+import crypto from 'crypto';
 import { LinearClient } from '@linear/sdk';
+import { getInstallation, removeInstallation, saveInstallation } from './installations.js';
+import { logger } from './logger.js';
 
 /**
  * Linear OAuth Installation Flow
  * 
  * Handles OAuth 2.0 flow with `actor=app` to install the agent as a workspace app.
  * This creates the agent's identity and obtains an access token for API operations.
+ * 
+ * Each workspace installation is persisted (see lib/installations.js) and
+ * resolved per webhook via its organizationId - ONE token per workspace.
+ */
+
+/** Refresh access tokens this long before they expire */
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/** In-flight refreshes per organization, so concurrent jobs share one refresh */
+const pendingRefreshes = new Map();
+
+/** How long an install attempt may take before its state expires */
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Pending install attempts: state → { expiresAt, codeVerifier }
+ * 
+ * Server-side and single-use; the state is also set in a cookie so it is
+ * bound to the browser that started the install.
  */
+const pendingStates = new Map();
+
+/** Replaces the workspace client in local tools (see setAgentLinearClientFactory) */
+let agentLinearClientFactory = null;
+
+/**
+ * Start an install attempt
+ * 
+ * Generates a cryptographically random state (and a PKCE verifier when
+ * LINEAR_OAUTH_PKCE=true) and remembers it until the callback.
+ * 
+ * @returns {{state: string, codeChallenge: string|null, expiresInMs: number}}
+ */
+export function createOAuthState() {
+    pruneExpiredStates();
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = process.env.LINEAR_OAUTH_PKCE === 'true'
+        ? crypto.randomBytes(32).toString('base64url')
+        : null;
+
+    pendingStates.set(state, {
+        expiresAt: Date.now() + STATE_TTL_MS,
+        codeVerifier
+    });
+
+    return {
+        state,
+        codeChallenge: codeVerifier
+            ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+            : null,
+        expiresInMs: STATE_TTL_MS
+    };
+}
+
+/**
+ * Verify and consume a CSRF state token (single use)
+ * 
+ * @param {string} state - State from the callback query
+ * @param {string} cookieState - State from the installing browser's cookie
+ * @returns {{codeVerifier: string|null}|null} Install attempt, or null if invalid/expired
+ */
+export function consumeOAuthState(state, cookieState) {
+    if (typeof state !== 'string' || typeof cookieState !== 'string') {
+        return null;
+    }
+
+    const received = Buffer.from(state);
+    const expected = Buffer.from(cookieState);
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return null;
+    }
+
+    const attempt = pendingStates.get(state);
+    pendingStates.delete(state);
+
+    if (!attempt || attempt.expiresAt < Date.now()) {
+        return null;
+    }
+
+    return { codeVerifier: attempt.codeVerifier };
+}
 
 /**
  * Build OAuth authorization URL for agent installation
  * 
+ * @param {Object} params - From createOAuthState()
+ * @param {string} params.state - CSRF state
+ * @param {string|null} [params.codeChallenge] - PKCE S256 challenge
  * @returns {string} Authorization URL to redirect admin to
  */
-export function getAuthorizationUrl() {
+export function getAuthorizationUrl({ state, codeChallenge = null }) {
     const baseUrl = process.env.BASE_URL || 'https://linear-agent.fraserandsam.com';
     const clientId = process.env.LINEAR_CLIENT_ID;
 
@@ -32,20 +120,166 @@ export function getAuthorizationUrl() {
         // See: https://linear.app/developers/oauth-2-0-authentication
         scope: 'read,write,app:assignable,app:mentionable',
         actor: 'app',  // CRITICAL: Makes this an agent installation, not user auth
-        state: generateState()  // CSRF protection
+        state  // CSRF protection
     });
 
+    if (codeChallenge) {
+        params.set('code_challenge', codeChallenge);
+        params.set('code_challenge_method', 'S256');
+    }
+
     return `https://linear.app/oauth/authorize?${params.toString()}`;
 }
 
 /**
- * Exchange authorization code for access token
+ * Exchange authorization code for access token and store the installation
  * 
  * @param {string} code - Authorization code from callback
- * @returns {Promise<{accessToken: string, agentUserId: string}>}
+ * @param {Object} [options]
+ * @param {string|null} [options.codeVerifier] - PKCE verifier from consumeOAuthState()
+ * @returns {Promise<{agentUserId: string, agentName: string, workspaceId: string, workspaceName: string, scopes: string[]}>}
  */
-export async function exchangeCodeForToken(code) {
+export async function exchangeCodeForToken(code, { codeVerifier = null } = {}) {
     const baseUrl = process.env.BASE_URL || 'https://linear-agent.fraserandsam.com';
+    const tokens = await requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: `${baseUrl}/auth/callback`,
+        ...(codeVerifier ? { code_verifier: codeVerifier } : {})
+    });
+
+    // Get agent user ID and workspace
+    const linearClient = new LinearClient({ accessToken: tokens.access_token });
+    const viewer = await linearClient.viewer;
+    const organization = await viewer.organization;
+
+    const scopes = typeof tokens.scope === 'string' ? tokens.scope.split(/[ ,]+/) : tokens.scope || [];
+
+    await saveInstallation({
+        organizationId: organization.id,
+        organizationName: organization.name,
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        expiresIn: tokens.expires_in,
+        scopes,
+        agentUserId: viewer.id,
+        agentName: viewer.name
+    });
+
+    return {
+        agentUserId: viewer.id,
+        agentName: viewer.name,
+        workspaceId: organization.id,
+        workspaceName: organization.name,
+        scopes
+    };
+}
+
+/**
+ * Get Linear client for the agent's installation in a workspace
+ * 
+ * Refreshes the access token when it is about to expire. Falls back to
+ * LINEAR_ACCESS_TOKEN for single-workspace setups that predate stored
+ * installations.
+ * 
+ * @param {string} [organizationId] - Linear organization ID from the webhook
+ * @returns {Promise<LinearClient>}
+ */
+export async function getAgentLinearClient(organizationId) {
+    if (agentLinearClientFactory) {
+        return agentLinearClientFactory(organizationId);
+    }
+
+    return new LinearClient({ accessToken: await getAgentAccessToken(organizationId) });
+}
+
+/**
+ * Build agent clients with a custom factory instead of stored installations
+ * 
+ * Used by the CLI to replay webhooks against a mock Linear client
+ * (see lib/linear-mock.js). Pass null to restore the default.
+ * 
+ * @param {((organizationId?: string) => Object|Promise<Object>)|null} factory
+ */
+export function setAgentLinearClientFactory(factory) {
+    agentLinearClientFactory = factory;
+}
+
+/**
+ * Get a valid agent access token for a workspace
+ * 
+ * @param {string} [organizationId] - Linear organization ID from the webhook
+ * @returns {Promise<string>}
+ */
+export async function getAgentAccessToken(organizationId) {
+    const installation = organizationId ? await getInstallation(organizationId) : null;
+
+    if (!installation) {
+        if (process.env.LINEAR_ACCESS_TOKEN) {
+            return process.env.LINEAR_ACCESS_TOKEN;
+        }
+
+        throw new Error(`Agent not installed in workspace ${organizationId || '(unknown)'}. Visit /auth/install`);
+    }
+
+    const expiresAt = installation.expiresAt ? new Date(installation.expiresAt).getTime() : Infinity;
+
+    if (expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+        return installation.accessToken;
+    }
+
+    if (!installation.refreshToken) {
+        throw new Error(`Access token for workspace ${organizationId} expired and no refresh token is stored. Reinstall via /auth/install`);
+    }
+
+    if (!pendingRefreshes.has(organizationId)) {
+        const refresh = refreshInstallationToken(installation)
+            .finally(() => pendingRefreshes.delete(organizationId));
+        pendingRefreshes.set(organizationId, refresh);
+    }
+
+    return pendingRefreshes.get(organizationId);
+}
+
+/**
+ * Remove a workspace installation (OAuth revocation / uninstall)
+ * 
+ * @param {string} organizationId - Linear organization ID
+ * @returns {Promise<boolean>} true if an installation was removed
+ */
+export async function uninstallWorkspace(organizationId) {
+    const removed = await removeInstallation(organizationId);
+
+    logger.info(removed ? 'Removed workspace installation' : 'No installation found for workspace', { organizationId });
+
+    return removed;
+}
+
+/**
+ * Helper: Refresh and persist a workspace's access token
+ */
+async function refreshInstallationToken(installation) {
+    logger.info('Refreshing workspace access token', { organizationId: installation.organizationId });
+
+    const tokens = await requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: installation.refreshToken
+    });
+
+    await saveInstallation({
+        organizationId: installation.organizationId,
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        expiresIn: tokens.expires_in
+    });
+
+    return tokens.access_token;
+}
+
+/**
+ * Helper: POST to Linear's OAuth token endpoint
+ */
+async function requestToken(params) {
     const clientId = process.env.LINEAR_CLIENT_ID;
     const clientSecret = process.env.LINEAR_CLIENT_SECRET;
 
@@ -53,16 +287,13 @@ export async function exchangeCodeForToken(code) {
         throw new Error('LINEAR_CLIENT_ID and LINEAR_CLIENT_SECRET are required');
     }
 
-    // Exchange code for token
     const tokenResponse = await fetch('https://api.linear.app/oauth/token', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
         },
         body: new URLSearchParams({
-            grant_type: 'authorization_code',
-            code,
-            redirect_uri: `${baseUrl}/auth/callback`,
+            ...params,
             client_id: clientId,
             client_secret: clientSecret
         })
@@ -70,54 +301,20 @@ export async function exchangeCodeForToken(code) {
 
     if (!tokenResponse.ok) {
         const error = await tokenResponse.text();
-        throw new Error(`Token exchange failed: ${error}`);
+        throw new Error(`Token ${params.grant_type === 'refresh_token' ? 'refresh' : 'exchange'} failed: ${error}`);
     }
 
-    const { access_token: accessToken } = await tokenResponse.json();
-
-    // Get agent user ID
-    const linearClient = new LinearClient({ accessToken });
-    const viewer = await linearClient.viewer;
-
-    return {
-        accessToken,
-        agentUserId: viewer.id,
-        agentName: viewer.name,
-        workspaceId: viewer.organization?.id
-    };
+    return tokenResponse.json();
 }
 
 /**
- * Get Linear client for the installed agent
- * 
- * @returns {LinearClient}
+ * Helper: Drop install attempts that were never completed
  */
-export function getAgentLinearClient() {
-    const accessToken = process.env.LINEAR_ACCESS_TOKEN;
-
-    if (!accessToken) {
-        throw new Error('LINEAR_ACCESS_TOKEN not set. Agent not installed yet. Visit /auth/install');
+function pruneExpiredStates() {
+    const now = Date.now();
+    for (const [state, attempt] of pendingStates) {
+        if (attempt.expiresAt < now) {
+            pendingStates.delete(state);
+        }
     }
-
-    return new LinearClient({ accessToken });
-}
-
-/**
- * Generate CSRF state token
- */
-function generateState() {
-    return Math.random().toString(36).substring(2, 15) +
-        Math.random().toString(36).substring(2, 15);
-}
-
-/**
- * Verify CSRF state token
- * 
- * @param {string} state - State from callback
- * @returns {boolean}
- */
-export function verifyState(state) {
-    // In production, store state in session/redis and verify
-    // For now, just check it exists
-    return state && state.length > 0;
 }
@@ -1,6 +1,21 @@
 import { parseLinearWebhook } from '../middleware/webhook-verify.js';
-import { createV0Session, formatIssueForV0Prompt } from './v0.js';
-import { getAgentLinearClient } from './linear-oauth.js';
+import { createV0Session, continueV0Session, getV0SessionFiles } from './v0.js';
+import { getAgentAccessToken, getAgentLinearClient, uninstallWorkspace } from './linear-oauth.js';
+import { getChatHistoryStore } from './chat-history.js';
+import { createDraftPullRequest, isGitHubConfigured } from './github.js';
+import { COMMANDS, createCommandRouter, formatHelpMessage, parseAgentCommand } from './commands.js';
+import { createInitialPlan, createRefinementPlan, failAgentPlan, stopAgentPlan, updateAgentPlan } from './agent-plan.js';
+import { getJobQueue } from './job-queue.js';
+import { checkIssueEligibility, formatEligibilityRejection, getIssueRoutingInfo } from './eligibility.js';
+import { composeV0SessionPrompt } from './prompts.js';
+import { assessPromptContext, formatClarifications, formatElicitationQuestions } from './elicitation.js';
+import { collectIssueImages, formatSkippedAttachments } from './attachments.js';
+import { formatRepairPrompt, formatValidationReport, validateV0Files } from './file-validation.js';
+import { getTeamConfig } from './team-config.js';
+import { formatPathMapping, mapV0Files } from './path-mapping.js';
+import { diffIterationFiles, formatDiffPatch, formatDiffSummary } from './file-diff.js';
+import { addLogContext, logger, withLogContext } from './logger.js';
+import { firstThoughtSeconds, pullRequests, refinements, sessionRefinements, webhooksReceived } from './metrics.js';
 
 /**
  * Linear Webhook Handler (Spec Compliant)
@@ -8,38 +23,84 @@ import { getAgentLinearClient } from './linear-oauth.js';
  * Processes webhook events from Linear to trigger V0 generation.
  * 
  * SPEC COMPLIANCE:
- * - Uses workspace agent token (ONE token per workspace, not per-user PATs)
+ * - Uses workspace agent token (ONE token per workspace, not per-user PATs),
+ *   resolved from each webhook's organizationId
+ * - Removes the workspace installation on OAuthApp.revoked
  * - Listens for AgentSessionEvent.created (PRIMARY webhook per spec)
+ * - Listens for AgentSessionEvent.prompted (follow-up messages in a session)
+ * - Honors the stop signal: cancels the session's jobs and ends the session
+ * - Asks clarifying questions (elicitation) when an issue is underspecified
  * - Uses agentSession.promptContext (don't assemble manually)
  * - Emits thought activity within 10 seconds
  * - Uses Agent Activities API for updates
  * 
+ * Webhook intake only acknowledges the session (thought activity + plan);
+ * V0 generation runs as a background job (see lib/job-queue.js) so Linear
+ * gets its response before the webhook times out.
+ * 
  * See: .gemini/SPEC_COMPLIANCE.md
  */
 
+const GENERATE_JOB = 'agentSession.generate';
+const REFINE_JOB = 'agentSession.refine';
+
+getJobQueue().registerHandler(GENERATE_JOB, {
+    run: runGenerationJob,
+    onFailed: reportJobFailure('create V0 session')
+});
+
+getJobQueue().registerHandler(REFINE_JOB, {
+    run: runRefinementJob,
+    onFailed: reportJobFailure('refine V0 session')
+});
+
+/**
+ * Dispatches @v0 commands from session prompts and comment mentions
+ */
+const routeAgentCommand = createCommandRouter({
+    refine: handleRefineCommand,
+    demo: handleDemoCommand,
+    complete: handleCompleteCommand,
+    help: handleHelpCommand
+});
+
 /**
  * Handle Linear webhook events
  * 
  * @param {Object} payload - Linear webhook payload
+ * @param {Object} [options]
+ * @param {number} [options.receivedAt] - When the request arrived (ms), for time-to-first-thought; defaults to now
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export async function handleLinearWebhook(payload) {
-    const { type, action, data } = parseLinearWebhook(payload);
+export async function handleLinearWebhook(payload, { receivedAt = Date.now() } = {}) {
+    const { type, action, data, organizationId } = parseLinearWebhook(payload);
 
-    console.log(`Webhook received: ${type}.${action}`, {
-        sessionId: data?.agentSession?.id,
-        issueId: data?.agentSession?.issue?.id
-    });
+    // Everything logged for this event (and the jobs it queues) carries these
+    return withLogContext({
+        agentSessionId: data?.agentSession?.id,
+        issueIdentifier: data?.agentSession?.issue?.identifier,
+        organizationId
+    }, async () => {
+        logger.info('Webhook received', { event: `${type}.${action}`, issueId: data?.agentSession?.issue?.id });
+        webhooksReceived.inc({ type: type || 'unknown', action: action || 'unknown' });
 
-    // Route to appropriate handler
-    switch (`${type}.${action}`) {
-        case 'AgentSessionEvent.created':
-            return handleAgentSessionCreated(data);
+        // Route to appropriate handler
+        switch (`${type}.${action}`) {
+            case 'AgentSessionEvent.created':
+                return handleAgentSessionCreated(data, organizationId, receivedAt);
 
-        default:
-            console.log(`Ignoring event: ${type}.${action}`);
-            return { success: true, message: 'Event ignored' };
-    }
+            case 'AgentSessionEvent.prompted':
+                return handleAgentSessionPrompted(data, organizationId);
+
+            case 'OAuthApp.revoked':
+                await uninstallWorkspace(organizationId);
+                return { success: true, message: 'Installation removed' };
+
+            default:
+                logger.debug('Ignoring event', { event: `${type}.${action}` });
+                return { success: true, message: 'Event ignored' };
+        }
+    });
 }
 
 /**
@@ -50,33 +111,60 @@ export async function handleLinearWebhook(payload) {
  * - User delegates issue to agent
  * - User @mentions agent in comment
  * 
+ * Explicit @v0 commands in a mention (e.g. `@v0 demo`) are routed to the
+ * issue's previous session instead of starting a new generation.
+ * 
  * CRITICAL: Linear creates the AgentSession automatically.
  * We just need to:
  * 1. Use promptContext from webhook
  * 2. Emit thought activity within 10 seconds
- * 3. Create V0 session
- * 4. Emit tool/message activities as work progresses
+ * 3. Publish the Agent Plan and keep it updated per stage
+ * 4. Queue V0 generation (runGenerationJob)
+ * 5. Emit tool/message activities as work progresses
  * 
  * @param {Object} data - AgentSessionEvent data
+ * @param {string} organizationId - Linear workspace the event came from
+ * @param {number} receivedAt - When the webhook request arrived (ms)
  */
-async function handleAgentSessionCreated(data) {
+async function handleAgentSessionCreated(data, organizationId, receivedAt) {
     const { agentSession } = data;
 
     if (!agentSession) {
-        console.error('⚠️ AgentSessionEvent.created received without agentSession data');
+        logger.error('AgentSessionEvent.created received without agentSession data');
         return { success: false, message: 'Missing agentSession data' };
     }
 
     const { id: sessionId, issue, promptContext } = agentSession;
 
-    console.log(`🎨 Agent session created for issue ${issue.identifier}`, {
-        sessionId,
-        issueId: issue.id
-    });
+    logger.info('Agent session created', { issueId: issue.id });
 
     try {
-        // Get workspace agent Linear client (uses LINEAR_ACCESS_TOKEN)
-        const linearClient = getAgentLinearClient();
+        // Get the agent's Linear client for this workspace
+        const linearClient = await getAgentLinearClient(organizationId);
+
+        // Comment mentions may carry a command for an earlier session on this issue
+        const commentBody = agentSession.comment?.body;
+        const command = commentBody ? parseAgentCommand(commentBody) : null;
+
+        if (command?.explicit) {
+            const store = getChatHistoryStore();
+            const previous = await store.findSessionByIssue(issue.id);
+
+            if (previous || command.name !== 'refine') {
+                // Acknowledge with a thought first, like every other session
+                await linearClient.createAgentActivity({
+                    agentSessionId: sessionId,
+                    content: {
+                        type: 'thought',
+                        text: 'Handling your command...'
+                    }
+                });
+                firstThoughtSeconds.observe((Date.now() - receivedAt) / 1000);
+
+                const record = previous ? await store.linkSession(sessionId, previous) : null;
+                return await routeAgentCommand(commentBody, { linearClient, organizationId, sessionId, agentSession, record });
+            }
+        }
 
         // 1. EMIT THOUGHT ACTIVITY WITHIN 10 SECONDS (CRITICAL PER SPEC)
         await linearClient.createAgentActivity({
@@ -87,37 +175,185 @@ async function handleAgentSessionCreated(data) {
             }
         });
 
-        console.log('✅ Emitted initial thought activity');
+        firstThoughtSeconds.observe((Date.now() - receivedAt) / 1000);
+        logger.info('Emitted initial thought activity');
+
+        // 2. Record the session and publish the Agent Plan
+        await getChatHistoryStore().createSession({
+            sessionId,
+            organizationId,
+            issueId: issue.id,
+            issueIdentifier: issue.identifier,
+            plan: createInitialPlan()
+        });
+        await updateAgentPlan(linearClient, sessionId, { analyze: 'inProgress' });
+
+        // 3. Hand generation off to the job queue so the webhook returns immediately
+        const job = await getJobQueue().enqueue(GENERATE_JOB, {
+            organizationId,
+            agentSession: { id: sessionId, issue, promptContext }
+        }, { sessionId });
+
+        return {
+            success: true,
+            message: 'Agent session queued',
+            sessionId,
+            jobId: job.id
+        };
+    } catch (error) {
+        logger.error('Failed to handle agent session', { error });
+
+        // Emit error activity
+        try {
+            const linearClient = await getAgentLinearClient(organizationId);
+            await failAgentPlan(linearClient, sessionId);
+            await linearClient.createAgentActivity({
+                agentSessionId: sessionId,
+                content: {
+                    type: 'error',
+                    text: `Failed to start agent session: ${error.message}`
+                }
+            });
+        } catch (activityError) {
+            logger.error('Failed to emit error activity', { error: activityError });
+        }
+
+        return {
+            success: false,
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Job: generate UI in V0 for a new agent session
+ * 
+ * Checks the issue's labels, team and project against the team's rules
+ * first (see lib/eligibility.js); out-of-scope issues end the session with
+ * a response activity and never reach V0. Underspecified issues pause the
+ * session with clarifying questions (see lib/elicitation.js); the job is
+ * queued again with the user's answers.
+ * 
+ * Safe to retry - if an earlier attempt already created the V0 chat, the
+ * stored iteration is reused instead of creating a duplicate chat.
+ * 
+ * Stops as soon as `signal` aborts (the user stopped the session); V0
+ * results that arrive afterwards are discarded, not recorded.
+ * 
+ * @param {Object} payload - { organizationId, agentSession: { id, issue, promptContext } }
+ * @param {Object} job - Job record
+ * @param {Object} context
+ * @param {AbortSignal} [context.signal] - Aborted when the job is canceled
+ */
+async function runGenerationJob({ organizationId, agentSession }, job, { signal } = {}) {
+    const { id: sessionId, issue, promptContext } = agentSession;
+    const linearClient = await getAgentLinearClient(organizationId);
+    const store = getChatHistoryStore();
+
+    let record = await store.getSession(sessionId);
+    addLogContext({ issueIdentifier: issue.identifier, chatId: record.chatId });
+
+    if (record.state === 'rejected') {
+        return;
+    }
+
+    if (!record.chatId) {
+        // 1. Make sure the issue is in scope before spending a V0 generation
+        const routing = await getIssueRoutingInfo(linearClient, issue.id);
+        const eligibility = checkIssueEligibility(routing);
+
+        await store.updateSession(sessionId, {
+            eligibility,
+            teamKey: routing.team?.key || null,
+            project: routing.project
+        });
+
+        if (!eligibility.eligible) {
+            await rejectIneligibleIssue({ linearClient, sessionId, issue: routing, eligibility });
+            return;
+        }
 
-        // 2. Use promptContext from spec (don't assemble manually)
-        const context = promptContext;
+        // 2. Ask once for missing essentials (target page, data, states, breakpoints)
+        if (!record.elicitation?.answeredAt) {
+            const assessment = assessPromptContext({
+                promptContext,
+                labels: routing.labels,
+                teamKey: routing.team?.key,
+                project: routing.project,
+                scope: eligibility.scope
+            });
 
-        // 3. Create V0 session
-        const v0Session = await createV0Session({
-            prompt: context,
-            context: {
-                framework: 'next',
-                styling: 'tailwind',
-                darkMode: issue.labels?.some(l => l.name.toLowerCase().includes('dark')),
-                responsive: issue.labels?.some(l => l.name.toLowerCase().includes('responsive')),
-                accessibility: issue.labels?.some(l => l.name.toLowerCase().includes('a11y'))
+            if (!assessment.sufficient) {
+                await requestClarification({ linearClient, sessionId, questions: assessment.missing });
+                return;
             }
+        }
+
+        // 3. Screenshots go to V0 as image inputs, Figma links as references
+        const attachments = await collectIssueImages({
+            linearClient,
+            accessToken: await getAgentAccessToken(organizationId),
+            issueId: issue.id,
+            signal
         });
 
-        console.log(`✅ V0 session created: ${v0Session.chatId}`);
+        if (attachments.skipped.length > 0) {
+            await linearClient.createAgentActivity({
+                agentSessionId: sessionId,
+                content: {
+                    type: 'thought',
+                    text: formatSkippedAttachments(attachments.skipped)
+                }
+            });
+        }
+
+        // Use promptContext from spec (don't assemble manually) - the team's
+        // tech stack, scope and house design rules are appended to it
+        const { prompt, context } = composeV0SessionPrompt({
+            promptContext,
+            labels: routing.labels,
+            teamKey: routing.team?.key,
+            project: routing.project,
+            eligibility,
+            attachments,
+            clarifications: formatClarifications(record.elicitation)
+        });
+
+        signal?.throwIfAborted();
+        await updateAgentPlan(linearClient, sessionId, { analyze: 'completed', generate: 'inProgress' });
+
+        // 4. Create V0 session
+        const v0Session = await createV0Session({ prompt, context, attachments: attachments.images, signal });
+
+        logger.info('V0 session created');
 
-        // 4. Emit tool activity to show progress
+        const files = await getIterationFiles(v0Session, { signal });
+        signal?.throwIfAborted();
+
+        // Persist the session → chat binding so refinements survive restarts
+        record = await store.appendIteration(sessionId, {
+            type: 'create',
+            prompt,
+            chatId: v0Session.chatId,
+            demoUrl: v0Session.demoUrl,
+            files,
+            jobId: job.id
+        });
+        await updateAgentPlan(linearClient, sessionId, { generate: 'completed' });
+        signal?.throwIfAborted();
+
+        // 5. Emit tool activity to show progress
         await linearClient.createAgentActivity({
             agentSessionId: sessionId,
             content: {
                 type: 'tool',
                 text: 'Created V0 session for UI generation',
                 toolName: 'v0_create_session',
-                toolOutput: `Chat ID: ${v0Session.chatId}\nDemo: ${v0Session.demoUrl}`
+                toolOutput: `Chat ID: ${v0Session.chatId}\nDemo: ${v0Session.demoUrl}\nImages sent: ${attachments.images.length}`
             }
         });
 
-        // 5. Emit message activity with demo link
+        // 6. Emit message activity with demo link
         await linearClient.createAgentActivity({
             agentSessionId: sessionId,
             content: {
@@ -125,34 +361,276 @@ async function handleAgentSessionCreated(data) {
                 text: `🎨 UI component generated! [View demo](${v0Session.demoUrl})\n\nI'll continue monitoring V0 and create a PR when ready.`
             }
         });
+    }
 
-        // TODO: Phase 2.5 - Create Agent Plan
-        // TODO: Phase 3 - Extract files and create PR
-        // TODO: Phase 3 - Set externalUrls (demo + PR)
-        // TODO: Phase 4.5 - Store chat history
+    // 7. Extract files and open a draft PR
+    await publishPullRequest({
+        linearClient,
+        sessionId,
+        issue,
+        chatId: record.chatId,
+        demoUrl: record.demoUrls[record.demoUrls.length - 1],
+        signal
+    });
 
-        return {
-            success: true,
-            message: 'Agent session started',
-            sessionId,
+    signal?.throwIfAborted();
+    await updateAgentPlan(linearClient, sessionId, { feedback: 'inProgress' });
+}
+
+/**
+ * End a session whose issue is out of scope for V0
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Object} params.issue - Routing info from getIssueRoutingInfo()
+ * @param {Object} params.eligibility - Result of checkIssueEligibility()
+ */
+async function rejectIneligibleIssue({ linearClient, sessionId, issue, eligibility }) {
+    logger.info('Issue is not eligible for V0', {
+        team: issue.team?.key,
+        reasons: eligibility.reasons
+    });
+
+    await getChatHistoryStore().updateSession(sessionId, { state: 'rejected' });
+    await updateAgentPlan(linearClient, sessionId, {
+        analyze: 'failed',
+        generate: 'skipped',
+        review: 'skipped',
+        pullRequest: 'skipped',
+        feedback: 'skipped'
+    });
+
+    // Response activity ends the session in Linear
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'response',
+            text: formatEligibilityRejection(issue, eligibility)
+        }
+    });
+}
+
+/**
+ * Pause a session until the user answers our clarifying questions
+ * 
+ * The elicitation activity puts the Linear session in awaitingInput; the
+ * reply arrives as AgentSessionEvent.prompted (see handleElicitationAnswer).
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Array<{id: string, question: string}>} params.questions - From assessPromptContext()
+ */
+async function requestClarification({ linearClient, sessionId, questions }) {
+    logger.info('Asking clarifying questions', {
+        missing: questions.map(q => q.id)
+    });
+
+    await getChatHistoryStore().updateSession(sessionId, {
+        state: 'awaitingInput',
+        elicitation: {
+            questions,
+            answers: null,
+            askedAt: new Date().toISOString()
+        }
+    });
+
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'elicitation',
+            text: formatElicitationQuestions(questions)
+        }
+    });
+}
+
+/**
+ * Job: apply refinement feedback to the session's V0 chat
+ * 
+ * Safe to retry - V0 isn't asked again once an iteration from this job is
+ * stored. Stops as soon as `signal` aborts, like runGenerationJob. The queue
+ * runs a session's refinements one at a time, in the order they were sent.
+ * 
+ * @param {Object} payload - { organizationId, agentSession: { id, issue }, feedback }
+ * @param {Object} job - Job record
+ * @param {Object} context
+ * @param {AbortSignal} [context.signal] - Aborted when the job is canceled
+ */
+async function runRefinementJob({ organizationId, agentSession, feedback }, job, { signal } = {}) {
+    const { id: sessionId } = agentSession;
+    const linearClient = await getAgentLinearClient(organizationId);
+    const store = getChatHistoryStore();
+
+    let record = await store.getSession(sessionId);
+    addLogContext({ issueIdentifier: record.issueIdentifier, chatId: record.chatId });
+
+    if (!record.iterations.some(({ jobId }) => jobId === job.id)) {
+        const previousFiles = record.iterations[record.iterations.length - 1]?.files || [];
+
+        // 1. Continue the existing V0 chat
+        const v0Session = await continueV0Session({ chatId: record.chatId, feedback, signal });
+
+        logger.info('V0 session refined', { chatId: v0Session.chatId });
+
+        const files = await getIterationFiles(v0Session, { signal });
+        signal?.throwIfAborted();
+
+        record = await store.appendIteration(sessionId, {
+            prompt: feedback,
             chatId: v0Session.chatId,
-            demoUrl: v0Session.demoUrl
-        };
+            demoUrl: v0Session.demoUrl,
+            files,
+            jobId: job.id
+        });
+        refinements.inc();
+        await updateAgentPlan(linearClient, sessionId, { generate: 'completed' });
+        signal?.throwIfAborted();
+
+        // 2. Emit tool activity to show progress
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'tool',
+                text: 'Sent refinement to V0 session',
+                toolName: 'v0_continue_session',
+                toolOutput: `Chat ID: ${v0Session.chatId}\nDemo: ${v0Session.demoUrl}`
+            }
+        });
+
+        // 3. Show what V0 changed: full diff in the tool output, summary in the message
+        const diff = diffIterationFiles(previousFiles, files);
+        const iterationNumber = record.iterations.length;
+
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'tool',
+                text: `Compared iteration ${iterationNumber - 1} → ${iterationNumber}`,
+                toolName: 'v0_diff_iterations',
+                toolOutput: formatDiffPatch(diff)
+            }
+        });
+
+        // 4. Emit message activity with the new demo link
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'message',
+                text: `🔁 Refinement applied! [View updated demo](${v0Session.demoUrl})\n\n${formatDiffSummary(diff, iterationNumber)}`
+            }
+        });
+    }
+
+    // 5. Push the refined files to the session's PR
+    await publishPullRequest({
+        linearClient,
+        sessionId,
+        issue: agentSession.issue || { identifier: record.issueIdentifier, title: 'V0 generated UI' },
+        chatId: record.chatId,
+        demoUrl: record.demoUrls[record.demoUrls.length - 1],
+        signal
+    });
+
+    signal?.throwIfAborted();
+    await updateAgentPlan(linearClient, sessionId, { feedback: 'inProgress' });
+}
+
+/**
+ * Build the failure hook for a generation job
+ * 
+ * Runs once retries are exhausted: marks the plan and record as failed and
+ * tells the user in Linear.
+ * 
+ * @param {string} description - What failed, e.g. 'create V0 session'
+ */
+function reportJobFailure(description) {
+    return async ({ organizationId, agentSession }, error) => {
+        const sessionId = agentSession.id;
+        const linearClient = await getAgentLinearClient(organizationId);
+
+        await failAgentPlan(linearClient, sessionId);
+        await getChatHistoryStore().updateSession(sessionId, { state: 'error' });
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'error',
+                text: `Failed to ${description}: ${error.message}`
+            }
+        });
+    };
+}
+
+/**
+ * Handle AgentSessionEvent.prompted webhook
+ * 
+ * Triggers when a user sends a follow-up message in an existing session.
+ * The message is parsed as an @v0 command (see lib/commands.js); free text
+ * is sent to the V0 chat bound to this session as refinement feedback.
+ * 
+ * A `stop` signal on the activity cancels the session's work instead (see
+ * handleStopSignal). The next message after a stop resumes the session.
+ * While we wait for answers to clarifying questions, any reply except the
+ * demo/complete/help commands is taken as the answer - one-word replies
+ * and empty replies included (see handleElicitationAnswer).
+ * 
+ * @param {Object} data - AgentSessionEvent data
+ * @param {string} organizationId - Linear workspace the event came from
+ */
+async function handleAgentSessionPrompted(data, organizationId) {
+    const { agentSession, agentActivity } = data;
+
+    if (!agentSession) {
+        logger.error('AgentSessionEvent.prompted received without agentSession data');
+        return { success: false, message: 'Missing agentSession data' };
+    }
+
+    const { id: sessionId } = agentSession;
+    const prompt = agentActivity?.content?.body || '';
+
+    logger.info('Agent session prompted', { activityId: agentActivity?.id });
+
+    try {
+        const linearClient = await getAgentLinearClient(organizationId);
+        const record = await getChatHistoryStore().getSession(sessionId);
+        addLogContext({ issueIdentifier: record?.issueIdentifier, chatId: record?.chatId });
+
+        if (agentActivity?.signal === 'stop') {
+            return await handleStopSignal({ linearClient, sessionId, record });
+        }
+
+        if (record?.state === 'awaitingInput') {
+            const command = parseAgentCommand(prompt);
+
+            if (!command.explicit || !COMMANDS[command.name] || command.name === 'refine') {
+                const answers = command.explicit && command.name === 'refine' ? command.args : prompt.trim();
+                return await handleElicitationAnswer({ linearClient, sessionId, record, answers });
+            }
+        }
+
+        if (record?.state === 'stopped') {
+            const resumed = await resumeStoppedSession({ linearClient, organizationId, sessionId, record });
+            if (resumed) {
+                return resumed;
+            }
+        }
+
+        return await routeAgentCommand(prompt, { linearClient, organizationId, sessionId, agentSession, record });
     } catch (error) {
-        console.error('Failed to handle agent session:', error);
+        logger.error('Failed to handle agent session prompt', { error });
 
-        // Emit error activity
         try {
-            const linearClient = getAgentLinearClient();
+            const linearClient = await getAgentLinearClient(organizationId);
+            await failAgentPlan(linearClient, sessionId);
             await linearClient.createAgentActivity({
                 agentSessionId: sessionId,
                 content: {
                     type: 'error',
-                    text: `Failed to create V0 session: ${error.message}`
+                    text: `Failed to process your message: ${error.message}`
                 }
             });
         } catch (activityError) {
-            console.error('Failed to emit error activity:', activityError);
+            logger.error('Failed to emit error activity', { error: activityError });
         }
 
         return {
@@ -161,3 +639,492 @@ async function handleAgentSessionCreated(data) {
         };
     }
 }
+
+/**
+ * Stop signal - the user pressed Stop on the agent session in Linear
+ * 
+ * Cancels the session's queued and running jobs (running V0 calls are
+ * abandoned and their results discarded), marks unfinished plan steps as
+ * stopped and ends the session with a response activity. Iterations and
+ * PRs that were already recorded are kept.
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Object|null} params.record - Chat history record
+ */
+async function handleStopSignal({ linearClient, sessionId, record }) {
+    const canceled = await getJobQueue().cancelSessionJobs(sessionId);
+
+    logger.info('Agent session stopped', { canceledJobs: canceled });
+
+    if (record) {
+        await getChatHistoryStore().updateSession(sessionId, { state: 'stopped' });
+        await stopAgentPlan(linearClient, sessionId);
+    }
+
+    let text = canceled > 0
+        ? '⏹️ Stopped. The V0 work in progress was canceled and nothing more will be posted.'
+        : '⏹️ Stopped. Nothing was running.';
+    if (record?.chatId) {
+        text += `\n\nLatest demo: [View demo](${record.demoUrls[record.demoUrls.length - 1]})`;
+    }
+    text += '\n\nSend a new message to pick up where I left off.';
+
+    // Response activity ends the session in Linear
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'response',
+            text
+        }
+    });
+
+    return { success: true, message: 'Agent session stopped', sessionId, canceledJobs: canceled };
+}
+
+/**
+ * Reopen a stopped session for the user's next message
+ * 
+ * Sessions stopped before V0 created a chat restart their generation job;
+ * sessions with a chat just become active again and the message is handled
+ * as usual.
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.organizationId - Linear workspace ID
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Object} params.record - Chat history record
+ * @returns {Promise<Object|null>} Webhook result if generation was restarted, otherwise null
+ */
+async function resumeStoppedSession({ linearClient, organizationId, sessionId, record }) {
+    await getChatHistoryStore().updateSession(sessionId, { state: 'active' });
+
+    if (record.chatId) {
+        return null;
+    }
+
+    const payload = findGenerationPayload(sessionId);
+    if (!payload) {
+        return null;
+    }
+
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'thought',
+            text: 'Resuming UI generation...'
+        }
+    });
+    await updateAgentPlan(linearClient, sessionId, { ...createInitialPlan(), analyze: 'inProgress' });
+
+    const job = await getJobQueue().enqueue(GENERATE_JOB, payload, { sessionId });
+
+    return {
+        success: true,
+        message: 'Agent session resumed',
+        sessionId,
+        jobId: job.id
+    };
+}
+
+/**
+ * Reply to our clarifying questions - record it and restart generation
+ * 
+ * An empty reply means "go ahead": generation restarts without answers
+ * (V0 fills the gaps) rather than asking the same questions again.
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Object} params.record - Chat history record
+ * @param {string} params.answers - The user's reply
+ */
+async function handleElicitationAnswer({ linearClient, sessionId, record, answers }) {
+    const payload = findGenerationPayload(sessionId);
+
+    if (!payload) {
+        throw new Error('The original generation request has expired. Delegate the issue again to start over.');
+    }
+
+    await getChatHistoryStore().updateSession(sessionId, {
+        state: 'active',
+        elicitation: {
+            ...record.elicitation,
+            answers,
+            answeredAt: new Date().toISOString()
+        }
+    });
+
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'thought',
+            text: answers
+                ? 'Thanks! Generating the UI with your answers...'
+                : 'No details added - generating the UI from the issue as written...'
+        }
+    });
+
+    const job = await getJobQueue().enqueue(GENERATE_JOB, payload, { sessionId });
+
+    return {
+        success: true,
+        message: 'Clarification received',
+        sessionId,
+        jobId: job.id
+    };
+}
+
+/**
+ * @v0 refine [feedback] - Continue the bound V0 chat with feedback
+ * 
+ * Acknowledges immediately and queues the V0 call as a job.
+ * 
+ * @param {Object} context - { linearClient, organizationId, sessionId, agentSession, record }
+ * @param {string} feedback - Refinement feedback
+ */
+async function handleRefineCommand(context, feedback) {
+    const { linearClient, organizationId, sessionId, agentSession, record } = context;
+
+    if (!await requireChatHistory(context)) {
+        return { success: false, message: 'No V0 chat bound to session' };
+    }
+
+    // 1. Acknowledge the prompt (same 10 second rule applies)
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'thought',
+            text: 'Applying your feedback in V0...'
+        }
+    });
+
+    await updateAgentPlan(linearClient, sessionId, { ...createRefinementPlan(), generate: 'inProgress' });
+
+    // 2. Queue the V0 refinement
+    const job = await getJobQueue().enqueue(REFINE_JOB, {
+        organizationId,
+        agentSession: { id: sessionId, issue: agentSession.issue || null },
+        feedback
+    }, { sessionId });
+
+    return {
+        success: true,
+        message: 'Refinement queued',
+        sessionId,
+        jobId: job.id
+    };
+}
+
+/**
+ * @v0 demo - Repost the latest demo URL
+ * 
+ * @param {Object} context - { linearClient, sessionId, record }
+ */
+async function handleDemoCommand(context) {
+    const { linearClient, sessionId, record } = context;
+
+    if (!await requireChatHistory(context)) {
+        return { success: false, message: 'No V0 chat bound to session' };
+    }
+
+    const demoUrl = record.demoUrls[record.demoUrls.length - 1];
+
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'message',
+            text: `🎨 Latest demo (iteration ${record.iterations.length}): [View demo](${demoUrl})` +
+                (record.pullRequest ? `\n\nDraft PR: ${record.pullRequest.url}` : '')
+        }
+    });
+
+    return { success: true, message: 'Demo reposted', sessionId, demoUrl };
+}
+
+/**
+ * @v0 complete - Finalize the session
+ * 
+ * @param {Object} context - { linearClient, sessionId, record }
+ */
+async function handleCompleteCommand(context) {
+    const { linearClient, sessionId, record } = context;
+
+    if (!await requireChatHistory(context)) {
+        return { success: false, message: 'No V0 chat bound to session' };
+    }
+
+    await getChatHistoryStore().updateSession(sessionId, { state: 'complete' });
+    await updateAgentPlan(linearClient, sessionId, { feedback: 'completed' });
+    sessionRefinements.observe(record.iterations.filter(({ type }) => type === 'refine').length);
+
+    let summary = `✅ Session complete after ${record.iterations.length} iteration(s).\n\n`;
+    summary += `- Final demo: [View demo](${record.demoUrls[record.demoUrls.length - 1]})\n`;
+    if (record.pullRequest) {
+        summary += `- Draft PR: ${record.pullRequest.url}\n`;
+    }
+
+    // Response activity ends the session in Linear
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'response',
+            text: summary
+        }
+    });
+
+    return { success: true, message: 'Agent session completed', sessionId };
+}
+
+/**
+ * @v0 help - List available commands
+ * 
+ * @param {Object} context - { linearClient, sessionId }
+ */
+async function handleHelpCommand({ linearClient, sessionId }) {
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'message',
+            text: formatHelpMessage()
+        }
+    });
+
+    return { success: true, message: 'Help sent', sessionId };
+}
+
+/**
+ * Helper: Emit an error activity when the session has no V0 chat yet
+ * 
+ * @returns {Promise<boolean>} true when chat history exists
+ */
+async function requireChatHistory({ linearClient, sessionId, record }) {
+    if (record?.chatId) {
+        return true;
+    }
+
+    await linearClient.createAgentActivity({
+        agentSessionId: sessionId,
+        content: {
+            type: 'error',
+            text: 'No V0 chat found for this session. Delegate the issue again to start a new generation.'
+        }
+    });
+
+    return false;
+}
+
+/**
+ * Review the V0 chat's files, commit them to the issue branch and surface the draft PR
+ * 
+ * Files are mapped onto our repository layout (see lib/path-mapping.js) and
+ * must pass static validation first (see reviewGeneratedFiles). Reports
+ * the PR through a tool activity and links it as the session's external URL.
+ * PR failures are reported but don't fail the session - the demo is still
+ * usable.
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {Object} params.issue - Linear issue ({ identifier, title, url })
+ * @param {string} params.chatId - V0 chat ID
+ * @param {string} params.demoUrl - V0 demo URL
+ * @param {AbortSignal} [params.signal] - Aborted when the session is stopped
+ */
+async function publishPullRequest({ linearClient, sessionId, issue, chatId, demoUrl, signal }) {
+    try {
+        await updateAgentPlan(linearClient, sessionId, { review: 'inProgress' });
+        const review = await reviewGeneratedFiles({ linearClient, sessionId, chatId, signal });
+
+        if (!review) {
+            return null;
+        }
+
+        chatId = review.chatId;
+        demoUrl = review.demoUrl || demoUrl;
+        await updateAgentPlan(linearClient, sessionId, { review: 'completed' });
+
+        const { mapping } = review;
+        const { files } = mapping;
+
+        if (!isGitHubConfigured()) {
+            logger.info('GitHub not configured - skipping PR creation');
+            await updateAgentPlan(linearClient, sessionId, { pullRequest: 'skipped' });
+            return null;
+        }
+
+        signal?.throwIfAborted();
+        await updateAgentPlan(linearClient, sessionId, { pullRequest: 'inProgress' });
+        const previous = (await getChatHistoryStore().getSession(sessionId)).pullRequest;
+        const pullRequest = await createDraftPullRequest({
+            issue,
+            chatId,
+            demoUrl,
+            files,
+            previousPaths: previous?.paths || []
+        });
+
+        logger.info(pullRequest.created ? 'Draft PR opened' : 'Draft PR updated', { pullRequestUrl: pullRequest.url });
+        pullRequests.inc({ result: pullRequest.created ? 'opened' : 'updated' });
+
+        await getChatHistoryStore().updateSession(sessionId, {
+            pullRequest: {
+                url: pullRequest.url,
+                number: pullRequest.number,
+                branch: pullRequest.branch,
+                paths: files.map(f => f.path)
+            }
+        });
+        await updateAgentPlan(linearClient, sessionId, { pullRequest: 'completed' });
+
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'tool',
+                text: pullRequest.created ? 'Opened draft PR with generated files' : 'Pushed generated files to draft PR',
+                toolName: 'github_create_pr',
+                toolOutput: `PR: ${pullRequest.url}\nBranch: ${pullRequest.branch}\nFiles: ${files.map(f => f.path).join(', ')}\n\nPath mapping:\n${formatPathMapping(mapping)}`
+            }
+        });
+
+        await linearClient.updateAgentSession(sessionId, {
+            externalLink: pullRequest.url
+        });
+
+        return pullRequest;
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+
+        logger.error('Failed to publish pull request', { error });
+
+        await failAgentPlan(linearClient, sessionId);
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'error',
+                text: `Generated UI is ready, but the draft PR could not be created: ${error.message}`
+            }
+        });
+
+        return null;
+    }
+}
+
+/**
+ * Validate the V0 chat's files, asking V0 to fix errors a bounded number of times
+ * 
+ * The files are checked as they'd be committed: moved onto our repository
+ * layout, with scaffold files dropped (see mapV0Files). Each validation pass
+ * is reported as a tool activity. Failed checks are sent
+ * back to V0 via continueV0Session (recorded as 'repair' iterations) up to
+ * the team's `validation.maxRepairAttempts`.
+ * 
+ * @param {Object} params
+ * @param {LinearClient} params.linearClient - Workspace agent client
+ * @param {string} params.sessionId - Linear agentSession ID
+ * @param {string} params.chatId - V0 chat ID
+ * @param {AbortSignal} [params.signal] - Aborted when the session is stopped
+ * @returns {Promise<{mapping: Object, chatId: string, demoUrl: string|null}|null>}
+ *   mapping from mapV0Files(), null if the files still fail
+ */
+async function reviewGeneratedFiles({ linearClient, sessionId, chatId, signal }) {
+    const store = getChatHistoryStore();
+    const { teamKey, project, iterations } = await store.getSession(sessionId);
+    const teamConfig = getTeamConfig(teamKey, project);
+    const maxRepairAttempts = teamConfig.validation?.maxRepairAttempts ?? 2;
+
+    // Files stored with the latest iteration are the chat's current files
+    const latest = iterations[iterations.length - 1];
+    let files = latest?.chatId === chatId && latest.files?.length > 0
+        ? latest.files
+        : await getV0SessionFiles(chatId, { signal });
+    let demoUrl = null;
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+        const mapping = mapV0Files(files, teamConfig.pathMapping);
+        const result = validateV0Files(mapping.files, { teamKey, project });
+
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'tool',
+                text: result.valid ? 'Validated generated files' : `Validation found ${result.errors.length} problem(s)`,
+                toolName: 'validate_files',
+                toolOutput: formatValidationReport(result, mapping.files.length)
+            }
+        });
+
+        if (result.valid) {
+            return { mapping, chatId, demoUrl };
+        }
+
+        if (attempt >= maxRepairAttempts) {
+            await updateAgentPlan(linearClient, sessionId, { review: 'failed', pullRequest: 'skipped' });
+            await linearClient.createAgentActivity({
+                agentSessionId: sessionId,
+                content: {
+                    type: 'error',
+                    text: `Generated files still fail validation after ${maxRepairAttempts} repair attempt(s), so no PR was opened. Send feedback to refine them.`
+                }
+            });
+            return null;
+        }
+
+        await linearClient.createAgentActivity({
+            agentSessionId: sessionId,
+            content: {
+                type: 'thought',
+                text: `Asking V0 to fix ${result.errors.length} problem(s) (repair ${attempt + 1}/${maxRepairAttempts})...`
+            }
+        });
+
+        const feedback = formatRepairPrompt(result);
+        const v0Session = await continueV0Session({ chatId, feedback, signal });
+
+        chatId = v0Session.chatId;
+        demoUrl = v0Session.demoUrl;
+        files = await getIterationFiles(v0Session, { signal });
+        signal?.throwIfAborted();
+
+        await store.appendIteration(sessionId, {
+            type: 'repair',
+            prompt: feedback,
+            chatId,
+            demoUrl,
+            files
+        });
+    }
+}
+
+/**
+ * Helper: Payload of the session's latest generation job
+ * 
+ * Used to restart generation (after answers or a stop); finished jobs are
+ * kept for a week.
+ * 
+ * @param {string} sessionId - Linear agentSession ID
+ * @returns {Object|null}
+ */
+function findGenerationPayload(sessionId) {
+    const job = getJobQueue().listJobs({ sessionId }).find(j => j.type === GENERATE_JOB);
+    return job?.payload || null;
+}
+
+/**
+ * Helper: Files for an iteration snapshot
+ * 
+ * Falls back to fetching the chat's files when V0's response doesn't
+ * include them, so every stored iteration can be diffed against the next.
+ * 
+ * @param {Object} v0Session - Result of createV0Session / continueV0Session
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort the fetch
+ * @returns {Promise<Array>}
+ */
+async function getIterationFiles(v0Session, { signal } = {}) {
+    return v0Session.files?.length > 0 ? v0Session.files : getV0SessionFiles(v0Session.chatId, { signal });
+}
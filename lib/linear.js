@@ -1,5 +1,6 @@
 import 'dotenv/config';
 import { LinearClient } from '@linear/sdk';
+import { logger } from './logger.js';
 
 /**
  * Linear GraphQL API Integration
@@ -76,7 +77,7 @@ export async function getLinearIssue(issueId) {
             updatedAt: issue.updatedAt
         };
     } catch (error) {
-        console.error(`Failed to get Linear issue ${issueId}:`, error);
+        logger.error('Failed to get Linear issue', { issueId, error });
         throw new Error(`Failed to get Linear issue: ${error.message}`);
     }
 }
@@ -103,7 +104,7 @@ export async function createLinearComment(issueId, body) {
             createdAt: comment.comment.createdAt
         };
     } catch (error) {
-        console.error(`Failed to create comment on ${issueId}:`, error);
+        logger.error('Failed to create Linear comment', { issueId, error });
         throw new Error(`Failed to create Linear comment: ${error.message}`);
     }
 }
@@ -146,83 +147,11 @@ export async function updateLinearIssueStatus(issueId, stateName) {
             status: targetState.name
         };
     } catch (error) {
-        console.error(`Failed to update status for ${issueId}:`, error);
+        logger.error('Failed to update Linear issue status', { issueId, error });
         throw new Error(`Failed to update Linear issue status: ${error.message}`);
     }
 }
 
-/**
- * Format a Linear issue for V0 prompt
- * 
- * Optimized for UI generation - emphasizes:
- * - Visual/UX requirements
- * - Component composition
- * - Design system constraints
- * - Accessibility needs
- * 
- * @param {Object} issue - Linear issue from getLinearIssue()
- * @returns {string} V0-optimized prompt
- */
-export function formatLinearIssueForV0(issue) {
-    const { title, description, labels = [] } = issue;
-
-    // Detect UI-relevant labels
-    const hasLabel = (keywords) => labels.some(l =>
-        keywords.some(k => l.toLowerCase().includes(k))
-    );
-
-    const darkMode = hasLabel(['dark', 'theme']);
-    const responsive = hasLabel(['responsive', 'mobile']);
-    const a11y = hasLabel(['a11y', 'accessibility', 'wcag']);
-    const shadcn = hasLabel(['shadcn', 'ui']);
-
-    let prompt = `# Component: ${title}\n\n`;
-
-    // Requirements from description
-    if (description) {
-        prompt += `## Requirements\n${description}\n\n`;
-    }
-
-    // Tech stack (V0 defaults)
-    prompt += `## Tech Stack\n`;
-    prompt += `- **Framework**: Next.js 14+ (App Router)\n`;
-    prompt += `- **Styling**: Tailwind CSS\n`;
-    prompt += `- **Components**: ${shadcn ? 'shadcn/ui' : 'Custom components'}\n`;
-    prompt += `- **Language**: TypeScript (strict)\n`;
-    prompt += `- **Icons**: Lucide React\n\n`;
-
-    // Design constraints from labels
-    const hasDesignRequirements = darkMode || responsive || a11y;
-    if (hasDesignRequirements) {
-        prompt += `## Design Requirements\n`;
-        if (darkMode) {
-            prompt += `- ✅ **Dark mode**: Use Tailwind's dark: variants with proper color contrast\n`;
-        }
-        if (responsive) {
-            prompt += `- ✅ **Responsive**: Mobile-first with sm:/md:/lg: breakpoints\n`;
-        }
-        if (a11y) {
-            prompt += `- ✅ **Accessibility**: WCAG 2.1 AA compliance\n`;
-            prompt += `  - Semantic HTML (nav, main, article, etc)\n`;
-            prompt += `  - ARIA labels where needed\n`;
-            prompt += `  - Keyboard navigation support\n`;
-            prompt += `  - Sufficient color contrast (4.5:1 minimum)\n`;
-        }
-        prompt += `\n`;
-    }
-
-    // Best practices
-    prompt += `## Implementation Guidelines\n`;
-    prompt += `- Use Server Components by default (add "use client" only when needed)\n`;
-    prompt += `- Implement proper TypeScript types for all props\n`;
-    prompt += `- Use Tailwind utility classes (avoid custom CSS)\n`;
-    prompt += `- Add hover/focus states for interactive elements\n`;
-    prompt += `- Ensure components are reusable and composable\n`;
-    prompt += `- Use Next.js Image component for images\n`;
-
-    return prompt;
-}
-
 /**
  * Get the authenticated Linear user (V0 agent)
  * 
@@ -239,7 +168,7 @@ export async function getLinearViewer() {
             email: viewer.email
         };
     } catch (error) {
-        console.error('Failed to get Linear viewer:', error);
+        logger.error('Failed to get Linear viewer', { error });
         throw new Error(`Failed to get Linear viewer: ${error.message}`);
     }
 }
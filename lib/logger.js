@@ -0,0 +1,179 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured JSON Logger
+ *
+ * One JSON object per line, e.g.:
+ *
+ *   {"time":"…","level":"info","msg":"V0 session created","agentSessionId":"…","issueIdentifier":"SYS-353","chatId":"…","deliveryId":"…"}
+ *
+ * Correlation fields (agentSessionId, issueIdentifier, chatId, deliveryId,
+ * jobId) come from an async context: withLogContext() starts one (per
+ * webhook delivery, per job run) and addLogContext() adds fields as they
+ * become known, so every line logged underneath carries them without
+ * passing IDs around.
+ *
+ * - LOG_LEVEL: debug | info (default) | warn | error
+ * - Tokens, secrets and API keys are redacted by key name, bearer tokens
+ *   and Linear keys inside strings too
+ * - Prompt bodies (prompt, promptContext, feedback...) are logged as their
+ *   length only, unless LOG_PROMPTS=true
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SECRET_KEY = /token|secret|password|authorization|cookie|signature|api[-_]?key/i;
+const PROMPT_KEY = /^(prompt|promptContext|feedback|message|body|text|content|source|system|answers)$/i;
+const SECRET_VALUE = /\b(Bearer\s+)[\w.~+/=-]+|\blin_(api|oauth)_\w+/g;
+
+const contextStorage = new AsyncLocalStorage();
+
+let options = {};
+
+/**
+ * Log a line at each level
+ *
+ * `fields` may be an object (merged into the line) or an Error
+ * (logged as `error: { name, message, stack }`).
+ */
+export const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Override where and how much is logged
+ *
+ * The CLI and MCP server log to stderr so stdout stays free for output.
+ *
+ * @param {Object} overrides
+ * @param {NodeJS.WritableStream} [overrides.stream] - Default: process.stdout
+ * @param {string} [overrides.level] - Default: LOG_LEVEL or 'info'
+ */
+export function configureLogger(overrides) {
+    options = { ...options, ...overrides };
+}
+
+/**
+ * Run `fn` with correlation fields on every line it logs
+ *
+ * Fields are merged over the current context unless `replace` is set
+ * (job runs start clean so they don't inherit whoever scheduled them).
+ *
+ * @template T
+ * @param {Object} fields - e.g. `{ deliveryId }`
+ * @param {() => T} fn
+ * @param {{replace?: boolean}} [runOptions]
+ * @returns {T}
+ */
+export function withLogContext(fields, fn, { replace = false } = {}) {
+    const base = replace ? {} : contextStorage.getStore();
+    return contextStorage.run({ ...base, ...compact(fields) }, fn);
+}
+
+/**
+ * Add correlation fields to the current context (no-op outside one)
+ *
+ * @param {Object} fields - e.g. `{ chatId }` once V0 returns it
+ */
+export function addLogContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, compact(fields));
+    }
+}
+
+/**
+ * @returns {Object} Current correlation fields (a copy)
+ */
+export function getLogContext() {
+    return { ...contextStorage.getStore() };
+}
+
+/**
+ * Helper: Emit one line if the level is enabled
+ */
+function write(level, msg, fields) {
+    const threshold = LEVELS[options.level || process.env.LOG_LEVEL] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: scrub(msg),
+        ...contextStorage.getStore(),
+        ...redact(extra)
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch {
+        line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: 'Unserializable fields' });
+    }
+
+    (options.stream || process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Helper: Copy of a value with secrets and prompt bodies removed
+ */
+function redact(value, key = '', depth = 0) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    if (key && SECRET_KEY.test(key) && value !== '') {
+        return '[REDACTED]';
+    }
+
+    if (typeof value === 'string') {
+        return key && PROMPT_KEY.test(key) && process.env.LOG_PROMPTS !== 'true'
+            ? `[${value.length} chars]`
+            : scrub(value);
+    }
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: scrub(value.message),
+            ...(value.status !== undefined ? { status: value.status } : {}),
+            ...(value.code !== undefined ? { code: value.code } : {}),
+            stack: scrub(value.stack || '')
+        };
+    }
+
+    if (typeof value !== 'object') {
+        return value;
+    }
+
+    if (depth >= 5) {
+        return '[Truncated]';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key, depth + 1));
+    }
+
+    return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, redact(v, k, depth + 1)])
+    );
+}
+
+/**
+ * Helper: Mask bearer tokens and Linear keys inside free text
+ */
+function scrub(text) {
+    return String(text).replace(SECRET_VALUE, (match, bearer) => bearer ? `${bearer}[REDACTED]` : '[REDACTED]');
+}
+
+/**
+ * Helper: Drop empty fields
+ */
+function compact(fields = {}) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
@@ -0,0 +1,176 @@
+/**
+ * Prometheus Metrics
+ *
+ * In-process counters and histograms, rendered in the Prometheus text
+ * format by GET /metrics (no client library - the exposition format is a
+ * few lines of text).
+ *
+ * - Webhook intake: deliveries by type/action, signature failures
+ * - Time from the created webhook to the first thought (Linear expects it
+ *   within 10 seconds)
+ * - V0 create/continue latency by outcome (error rate = error count / count)
+ * - Draft PRs opened, refinements, refinements per completed session
+ * - Job queue depth and dedupe counters, read when scraped
+ *
+ * Values live in memory and reset on restart.
+ */
+
+const PREFIX = 'linear_agent_';
+
+const registry = [];
+
+/** Deliveries that reached the handler, by `type` and `action` */
+export const webhooksReceived = counter('webhooks_received_total', 'Verified Linear webhooks handled, by type and action');
+
+/** Deliveries rejected by verifyLinearWebhook, by `reason` (missing, invalid, stale) */
+export const webhookSignatureFailures = counter('webhook_signature_failures_total', 'Linear webhooks rejected by signature or timestamp checks');
+
+/** Seconds from the AgentSessionEvent.created request arriving to the first thought activity */
+export const firstThoughtSeconds = histogram('first_thought_seconds', 'Time from session webhook to the first thought activity', [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+/** V0 API call latency, by `operation` (create, continue) and `outcome` (success, error) */
+export const v0RequestSeconds = histogram('v0_request_duration_seconds', 'V0 chat create/continue latency', [1, 5, 10, 20, 30, 60, 120, 300]);
+
+/** Draft PRs, by `result` (opened, updated) */
+export const pullRequests = counter('pull_requests_total', 'Draft pull requests opened or updated');
+
+/** Refinements applied to V0 chats (repairs not included) */
+export const refinements = counter('refinements_total', 'Refinements sent to V0');
+
+/** Refinements per session, observed when the session is completed */
+export const sessionRefinements = histogram('session_refinements', 'Refinements per completed agent session', [0, 1, 2, 3, 5, 8, 13]);
+
+/**
+ * Render every metric in the Prometheus text format (version 0.0.4)
+ *
+ * Gauges are snapshots passed in by the caller, so this module doesn't
+ * depend on the queue or the webhook middleware.
+ *
+ * @param {Object} [snapshots]
+ * @param {Object<string, number>} [snapshots.jobs] - Job counts by state (queue.getStats())
+ * @param {{duplicatesDropped?: number, trackedKeys?: number}} [snapshots.dedupe] - getWebhookDedupeStats()
+ * @returns {string}
+ */
+export function renderMetrics({ jobs = {}, dedupe = {} } = {}) {
+    const lines = registry.flatMap(metric => metric.render());
+
+    lines.push(
+        ...header('jobs', 'gauge', 'Background jobs by state (queued + retrying = queue depth)'),
+        ...Object.entries(jobs).map(([state, count]) => sample('jobs', { state }, count)),
+        ...header('webhook_duplicates_dropped_total', 'counter', 'Duplicate Linear webhook deliveries dropped'),
+        sample('webhook_duplicates_dropped_total', {}, dedupe.duplicatesDropped || 0),
+        ...header('webhook_dedupe_keys', 'gauge', 'Delivery/session IDs remembered for dedupe'),
+        sample('webhook_dedupe_keys', {}, dedupe.trackedKeys || 0)
+    );
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Helper: Counter with optional labels
+ */
+function counter(name, help) {
+    const series = new Map();
+
+    const metric = {
+        /**
+         * @param {Object} [labels]
+         * @param {number} [value]
+         */
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+
+        render() {
+            return [
+                ...header(name, 'counter', help),
+                ...[...series.values()].map(({ labels, value }) => sample(name, labels, value))
+            ];
+        }
+    };
+
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Helper: Histogram with optional labels (cumulative buckets, sum, count)
+ */
+function histogram(name, help, buckets) {
+    const series = new Map();
+
+    const metric = {
+        /**
+         * @param {number} value
+         * @param {Object} [labels]
+         */
+        observe(value, labels = {}) {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+
+        /**
+         * Start a timer; call the returned function to observe the elapsed seconds
+         *
+         * @param {Object} [labels] - Merged with labels passed when stopping
+         * @returns {(labels?: Object) => void}
+         */
+        startTimer(labels = {}) {
+            const startedAt = process.hrtime.bigint();
+            return (moreLabels = {}) => metric.observe(
+                Number(process.hrtime.bigint() - startedAt) / 1e9,
+                { ...labels, ...moreLabels }
+            );
+        },
+
+        render() {
+            return [
+                ...header(name, 'histogram', help),
+                ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, index) => sample(`${name}_bucket`, { ...labels, le: String(bound) }, counts[index])),
+                    sample(`${name}_bucket`, { ...labels, le: '+Inf' }, count),
+                    sample(`${name}_sum`, labels, sum),
+                    sample(`${name}_count`, labels, count)
+                ])
+            ];
+        }
+    };
+
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Helper: HELP and TYPE lines
+ */
+function header(name, type, help) {
+    return [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`];
+}
+
+/**
+ * Helper: One sample line, e.g. `linear_agent_jobs{state="queued"} 2`
+ */
+function sample(name, labels, value) {
+    const pairs = Object.entries(labels)
+        .map(([key, label]) => `${key}="${String(label).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+
+    return `${PREFIX}${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Helper: Stable key for a label set
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -0,0 +1,235 @@
+import path from 'path';
+import { parse as parseScript } from '@babel/parser';
+
+/**
+ * V0 → Repository Path Mapping
+ *
+ * V0 generates a standalone Next.js layout (`components/example.tsx`,
+ * `app/page.tsx`). These rules (the `pathMapping` block in
+ * config/teams.json, overridable per team and per project) move files to
+ * where code lives in our repository:
+ *
+ * - drop: globs for scaffold files we never want (`app/layout.tsx`, any `globals.css`)
+ * - relocate: `{ from, to }` prefix rewrites, first match wins
+ * - fileNameCase: 'kebab' renames `PricingCard.tsx` → `pricing-card.tsx`
+ * - clientSuffix: files with "use client" become `*.client.tsx`
+ *   (Next.js route files like page.tsx keep their names)
+ * - importAlias: `{ prefix, root }` - imports of moved files under `root`
+ *   are written as `prefix + path`, others as relative paths
+ *
+ * Import specifiers that point at generated files (relative or `@/`) are
+ * rewritten to the files' new locations.
+ */
+
+const SCRIPT_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs'];
+const NEXT_ROUTE_FILES = ['page', 'layout', 'loading', 'error', 'not-found', 'template', 'default', 'route', 'middleware'];
+
+/**
+ * Map V0 files onto the repository layout
+ *
+ * @param {Array<{path: string, content: string, language?: string}>} files - From getV0SessionFiles()
+ * @param {Object} [rules] - `pathMapping` from getTeamConfig()
+ * @returns {{files: Object[], dropped: string[], moved: Array<{from: string, to: string}>}}
+ *   files keep their other fields and gain `originalPath`
+ */
+export function mapV0Files(files, rules = {}) {
+    const drop = (rules.drop || []).map(globToRegExp);
+    const dropped = [];
+    const kept = [];
+
+    for (const file of files) {
+        const original = normalizePath(file.path);
+
+        if (drop.some(pattern => pattern.test(original))) {
+            dropped.push(original);
+        } else {
+            kept.push({ file, original, mapped: mapPath(original, file.content, rules) });
+        }
+    }
+
+    const pathMap = new Map(kept.map(({ original, mapped }) => [original, mapped]));
+
+    return {
+        files: kept.map(({ file, original, mapped }) => ({
+            ...file,
+            path: mapped,
+            originalPath: original,
+            content: isScript(original) ? rewriteImports(file.content, original, mapped, pathMap, rules) : file.content
+        })),
+        dropped,
+        moved: kept
+            .filter(({ original, mapped }) => original !== mapped)
+            .map(({ original, mapped }) => ({ from: original, to: mapped }))
+    };
+}
+
+/**
+ * Summarize a mapping for activities and logs
+ *
+ * @param {Object} result - From mapV0Files()
+ * @returns {string}
+ */
+export function formatPathMapping({ moved, dropped }) {
+    const lines = [
+        ...moved.map(({ from, to }) => `${from} → ${to}`),
+        ...dropped.map(file => `${file} (dropped)`)
+    ];
+
+    return lines.length > 0 ? lines.join('\n') : 'No path changes';
+}
+
+/**
+ * Helper: New location of one file
+ */
+function mapPath(filePath, content, rules) {
+    let mapped = filePath;
+
+    const relocation = (rules.relocate || []).find(rule => filePath.startsWith(rule.from));
+    if (relocation) {
+        mapped = relocation.to + filePath.slice(relocation.from.length);
+    }
+
+    const directory = path.posix.dirname(mapped);
+    const extension = path.posix.extname(mapped);
+    let name = path.posix.basename(mapped, extension);
+
+    if (rules.fileNameCase === 'kebab') {
+        name = name.split('.').map(toKebabCase).join('.');
+    }
+
+    const isRouteFile = NEXT_ROUTE_FILES.includes(name);
+    if (rules.clientSuffix && ['.tsx', '.jsx'].includes(extension) && !isRouteFile &&
+        !name.endsWith('.client') && hasUseClientDirective(content)) {
+        name += '.client';
+    }
+
+    return path.posix.join(directory, name + extension);
+}
+
+/**
+ * Helper: Point imports of generated files at their new paths
+ *
+ * Unparseable files are returned unchanged (validation reports them).
+ */
+function rewriteImports(content, fromPath, toPath, pathMap, rules) {
+    let ast;
+    try {
+        ast = parseScript(content, {
+            sourceType: 'module',
+            plugins: fromPath.endsWith('.ts') ? ['typescript'] : ['typescript', 'jsx']
+        });
+    } catch {
+        return content;
+    }
+
+    const replacements = [];
+
+    for (const node of ast.program.body) {
+        if (!node.source || !['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type)) {
+            continue;
+        }
+
+        const target = resolveGeneratedFile(node.source.value, fromPath, pathMap);
+        if (!target) {
+            continue;
+        }
+
+        const specifier = buildSpecifier(pathMap.get(target), toPath, rules);
+        if (specifier !== node.source.value) {
+            replacements.push({ start: node.source.start, end: node.source.end, text: JSON.stringify(specifier) });
+        }
+    }
+
+    return replacements
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), content);
+}
+
+/**
+ * Helper: Original path of the generated file an import refers to, if any
+ */
+function resolveGeneratedFile(specifier, fromPath, pathMap) {
+    const aliasPrefix = '@/';
+    let base;
+
+    if (specifier.startsWith('.')) {
+        base = path.posix.join(path.posix.dirname(fromPath), specifier);
+    } else if (specifier.startsWith(aliasPrefix)) {
+        // V0 projects alias @/ to their root
+        base = specifier.slice(aliasPrefix.length);
+    } else {
+        return null;
+    }
+
+    const candidates = [
+        base,
+        ...SCRIPT_EXTENSIONS.map(ext => base + ext),
+        ...SCRIPT_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+
+    return candidates.find(candidate => pathMap.has(candidate)) || null;
+}
+
+/**
+ * Helper: Import specifier for a moved file, alias form when possible
+ */
+function buildSpecifier(targetPath, importerPath, rules) {
+    const withoutExtension = targetPath.replace(/\.(tsx|ts|jsx|js|mjs)$/, '').replace(/\/index$/, '');
+    const alias = rules.importAlias;
+
+    if (alias?.root && withoutExtension.startsWith(alias.root)) {
+        return alias.prefix + withoutExtension.slice(alias.root.length);
+    }
+
+    const relative = path.posix.relative(path.posix.dirname(importerPath), withoutExtension);
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Helper: "use client" as the file's first statement
+ */
+function hasUseClientDirective(content) {
+    return /^\s*(?:\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*["']use client["']/.test(content);
+}
+
+/**
+ * Helper: 'PricingCard' / 'pricing_card' → 'pricing-card'
+ */
+function toKebabCase(value) {
+    return value
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+        .replace(/[_\s]+/g, '-')
+        .toLowerCase();
+}
+
+/**
+ * Helper: Simple glob (`*`, `**`) → RegExp
+ */
+function globToRegExp(glob) {
+    const pattern = glob
+        .split(/(\*\*\/|\*\*|\*)/)
+        .map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Helper: Forward slashes, no leading './'
+ */
+function normalizePath(filePath) {
+    return path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+/**
+ * Helper: Files whose imports can be rewritten
+ */
+function isScript(filePath) {
+    return SCRIPT_EXTENSIONS.includes(path.posix.extname(filePath));
+}
@@ -0,0 +1,240 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getTeamConfig } from './team-config.js';
+import { buildDesignSystemContext } from './design-system.js';
+
+/**
+ * V0 Prompt Composition
+ *
+ * Single place where V0 prompts are built, for both entry points:
+ * - composeV0SessionPrompt(): agent sessions, starting from Linear's
+ *   `promptContext` and adding our tech stack and house design rules
+ * - formatIssueForV0Prompt(): a bare Linear issue (CLI / MCP tools)
+ *
+ * Prompt text lives in templates/prompts/*.md (`{{name}}` placeholders).
+ * The tech stack comes from the team's `promptProfile` (config/teams.json),
+ * resolved against config/prompt-profiles.json. Profiles with
+ * `designSystem: true` also get the matching components and tokens from
+ * our design-system manifest (see lib/design-system.js).
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMPLATE_DIR = path.join(PROJECT_ROOT, 'templates', 'prompts');
+const PROFILES_FILE = path.join(PROJECT_ROOT, 'config', 'prompt-profiles.json');
+
+/**
+ * Label keywords → design requirement
+ */
+const DESIGN_LABELS = {
+    darkMode: ['dark', 'theme'],
+    responsive: ['responsive', 'mobile'],
+    accessibility: ['a11y', 'accessibility', 'wcag']
+};
+
+/**
+ * Accessibility wording is the same for every stack
+ */
+const ACCESSIBILITY_REQUIREMENT = [
+    'Accessibility: WCAG 2.1 AA compliance',
+    '  - Semantic HTML and ARIA labels where needed',
+    '  - Keyboard navigation support',
+    '  - Sufficient color contrast (4.5:1 minimum)'
+].join('\n');
+
+const templates = new Map();
+let profiles = null;
+
+/**
+ * Build the V0 prompt for an agent session
+ *
+ * Linear's promptContext is kept verbatim at the top (don't assemble the
+ * issue manually); answers to our clarifying questions, the team's stack
+ * and implementation guidelines, label-driven design requirements and
+ * house rules are appended.
+ *
+ * @param {Object} params
+ * @param {string} [params.promptContext] - agentSession.promptContext from the webhook
+ * @param {string[]} [params.labels] - Issue label names
+ * @param {string} [params.teamKey] - Linear team key, selects the tech-stack profile
+ * @param {{id?: string, name?: string}} [params.project] - Linear project, for project overrides of the profile
+ * @param {{scope?: string, instructions?: string}} [params.eligibility] - From checkIssueEligibility()
+ * @param {Object} [params.attachments] - From collectIssueImages() ({ images, references })
+ * @param {string} [params.clarifications] - Answers to our questions, from formatClarifications()
+ * @returns {{prompt: string, context: Object}} Prompt and V0SessionContext
+ */
+export function composeV0SessionPrompt({ promptContext = '', labels = [], teamKey, project, eligibility = {}, attachments = {}, clarifications = '' }) {
+    const profile = getPromptProfile(teamKey, project);
+    const requirements = getDesignRequirements(labels);
+    const designSystem = getDesignSystemContext(profile, promptContext);
+
+    const prompt = renderTemplate('session', {
+        promptContext: String(promptContext || '').trim(),
+        clarifications,
+        scope: eligibility.instructions ? `## Scope\n${eligibility.instructions}` : '',
+        references: formatReferences(attachments),
+        techStack: formatList(profile.techStack),
+        guidelines: profile.guidelines?.length ? `## Implementation Guidelines\n${formatList(profile.guidelines)}` : '',
+        designRequirements: formatDesignRequirements(profile, requirements),
+        designSystem: designSystem.section,
+        houseRules: loadTemplate('house-rules').trim()
+    });
+
+    return {
+        prompt,
+        context: {
+            framework: profile.framework,
+            styling: profile.styling,
+            scope: eligibility.scope || undefined,
+            designSystemComponents: designSystem.components,
+            ...requirements
+        }
+    };
+}
+
+/**
+ * Format a Linear issue into a V0-optimized prompt
+ *
+ * @param {Object} issue - Linear issue ({ title, description, labels, team, project })
+ * @param {Object} [options]
+ * @param {string} [options.teamKey] - Overrides `issue.team.key` for profile selection
+ * @returns {string} V0-optimized prompt
+ */
+export function formatIssueForV0Prompt(issue, { teamKey } = {}) {
+    const { title, description } = issue;
+    const labels = (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name));
+    const profile = getPromptProfile(teamKey || issue.team?.key, issue.project);
+
+    return renderTemplate('issue', {
+        title,
+        requirements: description ? `## Requirements\n${description}` : '',
+        techStack: formatList(profile.techStack),
+        designRequirements: formatDesignRequirements(profile, getDesignRequirements(labels)),
+        designSystem: getDesignSystemContext(profile, `${title}\n${description || ''}`).section,
+        guidelines: [formatList(profile.guidelines), loadTemplate('house-rules').trim()]
+            .filter(Boolean)
+            .join('\n')
+    });
+}
+
+/**
+ * Detect design requirements from issue labels
+ *
+ * @param {string[]} labels - Label names
+ * @returns {{darkMode: boolean, responsive: boolean, accessibility: boolean}}
+ */
+export function getDesignRequirements(labels = []) {
+    const lower = labels.map(l => l.toLowerCase());
+
+    return Object.fromEntries(
+        Object.entries(DESIGN_LABELS).map(([requirement, keywords]) => [
+            requirement,
+            lower.some(label => keywords.some(k => label.includes(k)))
+        ])
+    );
+}
+
+/**
+ * Tech-stack profile for a team and project
+ *
+ * The `promptProfile` setting resolves like any team config: default, then
+ * the team's override, then the project's.
+ *
+ * @param {string} [teamKey] - Linear team key
+ * @param {{id?: string, name?: string}} [project] - Linear project
+ * @returns {Object} Profile ({ name, framework, styling, techStack, guidelines, designRequirements })
+ */
+export function getPromptProfile(teamKey, project) {
+    const name = getTeamConfig(teamKey, project).promptProfile || 'next-tailwind';
+    const profile = loadProfiles()[name];
+
+    if (!profile) {
+        throw new Error(`Unknown prompt profile "${name}" for team ${teamKey || 'default'}`);
+    }
+
+    return { name, ...profile };
+}
+
+/**
+ * Helper: Visual references section (attached screenshots and Figma links)
+ */
+function formatReferences({ images = [], references = [] }) {
+    const lines = [
+        ...images.map(image => `Attached image: ${image.name} - match its layout and styling`),
+        ...references.map(ref => `Figma: [${ref.title || 'design'}](${ref.url}) - reference only, not attached`)
+    ];
+
+    return lines.length > 0 ? `## Visual References\n${formatList(lines)}` : '';
+}
+
+/**
+ * Helper: Design-system section, for profiles that use our component library
+ */
+function getDesignSystemContext(profile, text) {
+    return profile.designSystem ? buildDesignSystemContext(text) : { section: '', components: [] };
+}
+
+/**
+ * Helper: Design requirements section for the detected labels
+ */
+function formatDesignRequirements(profile, requirements) {
+    const lines = [];
+
+    if (requirements.darkMode) {
+        lines.push(profile.designRequirements?.darkMode || 'Dark mode support with proper color schemes');
+    }
+    if (requirements.responsive) {
+        lines.push(profile.designRequirements?.responsive || 'Fully responsive (mobile, tablet, desktop)');
+    }
+    if (requirements.accessibility) {
+        lines.push(ACCESSIBILITY_REQUIREMENT);
+    }
+
+    return lines.length > 0 ? `## Design Requirements\n${formatList(lines)}` : '';
+}
+
+/**
+ * Helper: Markdown bullet list
+ */
+function formatList(items = []) {
+    return items.map(item => `- ${item}`).join('\n');
+}
+
+/**
+ * Helper: Fill `{{name}}` placeholders and drop the gaps left by empty sections
+ */
+function renderTemplate(name, values) {
+    const rendered = loadTemplate(name).replace(/\{\{(\w+)\}\}/g, (_, key) => values[key] ?? '');
+
+    return rendered.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Helper: Read (and cache) templates/prompts/<name>.md
+ */
+function loadTemplate(name) {
+    if (!templates.has(name)) {
+        const file = path.join(TEMPLATE_DIR, `${name}.md`);
+
+        try {
+            templates.set(name, readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load prompt template ${file}: ${error.message}`);
+        }
+    }
+    return templates.get(name);
+}
+
+/**
+ * Helper: Read (and cache) config/prompt-profiles.json
+ */
+function loadProfiles() {
+    if (!profiles) {
+        try {
+            profiles = JSON.parse(readFileSync(PROFILES_FILE, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load prompt profiles ${PROFILES_FILE}: ${error.message}`);
+        }
+    }
+    return profiles;
+}
@@ -0,0 +1,69 @@
+import 'dotenv/config';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Per-Team Configuration
+ *
+ * Loads team rules from TEAM_CONFIG_PATH (default: config/teams.json).
+ * The file has a `default` block, optional `teams` overrides keyed by
+ * Linear team key (e.g. 'SYS') and optional `projects` overrides keyed by
+ * Linear project name or ID. Overrides are deep-merged in that order
+ * (default → team → project), with arrays replaced rather than concatenated.
+ *
+ * The file is read once and cached - restart the service after editing it.
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let teamConfig = null;
+
+/**
+ * Get the effective configuration for a Linear team (and project)
+ *
+ * @param {string} [teamKey] - Linear team key, e.g. 'SYS'
+ * @param {{id?: string, name?: string}} [project] - Linear project the issue belongs to
+ * @returns {Object} Defaults merged with the team's and project's overrides
+ */
+export function getTeamConfig(teamKey, project) {
+    const config = loadTeamConfig();
+    const teamOverrides = (teamKey && config.teams?.[teamKey]) || {};
+    const projectOverrides = (project && (config.projects?.[project.id] || config.projects?.[project.name])) || {};
+
+    return deepMerge(deepMerge(config.default || {}, teamOverrides), projectOverrides);
+}
+
+/**
+ * Helper: Read and cache the config file
+ */
+function loadTeamConfig() {
+    if (!teamConfig) {
+        const file = process.env.TEAM_CONFIG_PATH
+            ? path.resolve(process.env.TEAM_CONFIG_PATH)
+            : path.join(PROJECT_ROOT, 'config', 'teams.json');
+
+        try {
+            teamConfig = JSON.parse(readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load team config ${file}: ${error.message}`);
+        }
+    }
+    return teamConfig;
+}
+
+/**
+ * Helper: Merge plain objects recursively (arrays and scalars are replaced)
+ */
+function deepMerge(base, overrides) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const baseIsObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+
+        result[key] = isObject && baseIsObject ? deepMerge(result[key], value) : value;
+    }
+
+    return result;
+}
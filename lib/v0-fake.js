@@ -0,0 +1,309 @@
+import http from 'http';
+import { createHash } from 'crypto';
+
+/**
+ * Fake V0 Platform API
+ *
+ * Deterministic stand-in for V0, for local development and testing. The
+ * same prompt always produces the same chat ID and files, so runs can be
+ * compared.
+ *
+ * - createFakeV0Client(): in-process client with the same interface as the
+ *   adapters in lib/v0.js (used by V0_CLIENT_MODE=mock)
+ * - startFakeV0Server(): HTTP server speaking the part of the v0 Platform
+ *   API that v0-sdk uses (GET /user, POST /chats, POST /chats/:id/messages,
+ *   GET /chats/:id). Point V0_API_BASE_URL at it to run V0_CLIENT_MODE=real
+ *   end to end without a V0 account (see scripts/fake-v0-server.js). Like
+ *   the real API, GET /chats/:id returns no files - files only come with
+ *   each message, so a new process lists them from chat history.
+ *
+ * Failures and latency can be injected for every call (options) or per call
+ * with directives in the prompt / feedback text:
+ *   [fake-v0:error=429]     fail the call with HTTP 429
+ *   [fake-v0:latency=2000]  answer after 2 seconds
+ */
+
+const DIRECTIVE = /\[fake-v0:(error|latency)=(\d+)\]/g;
+
+/**
+ * Create an in-process fake V0 client
+ *
+ * @param {Object} [options]
+ * @param {number} [options.latencyMs=0] - Delay before every response
+ * @param {{create?: number, message?: number, files?: number}} [options.errors] - HTTP status to fail each operation with
+ * @param {string} [options.demoBaseUrl] - Base of the fake demo links
+ * @returns {{mode: string, createChat: Function, sendMessage: Function, getFiles: Function}}
+ */
+export function createFakeV0Client({ latencyMs = 0, errors = {}, demoBaseUrl = 'http://fake-v0.localhost/demo' } = {}) {
+    const chats = new Map();
+
+    async function respond(operation, text) {
+        const directives = parseDirectives(text);
+        const delay = directives.latency ?? latencyMs;
+
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const status = directives.error ?? errors[operation];
+        if (status) {
+            throw createHttpError(status, `Injected ${operation} failure`);
+        }
+    }
+
+    return {
+        mode: 'mock',
+        demoBaseUrl,
+
+        async createChat({ message }) {
+            await respond('create', message);
+
+            const id = uniqueChatId(chats, message);
+            const chat = { id, messages: [message], files: generateFiles(message, 1) };
+            chats.set(id, chat);
+
+            return toResponse(chat, demoBaseUrl);
+        },
+
+        async sendMessage({ chatId, message }) {
+            await respond('message', message);
+
+            const chat = chats.get(chatId);
+            if (!chat) {
+                throw createHttpError(404, `Chat ${chatId} not found`);
+            }
+
+            chat.messages.push(message);
+            chat.files = generateFiles(chat.messages[0], chat.messages.length, message);
+
+            return toResponse(chat, demoBaseUrl);
+        },
+
+        async getFiles({ chatId }) {
+            await respond('files', '');
+
+            const chat = chats.get(chatId);
+            if (!chat) {
+                throw createHttpError(404, `Chat ${chatId} not found`);
+            }
+
+            return chat.files;
+        }
+    };
+}
+
+/**
+ * Start the fake V0 HTTP server
+ *
+ * Accepts any bearer token. Paths work with or without the `/v1` prefix.
+ *
+ * @param {Object} [options] - createFakeV0Client() options, plus:
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @returns {Promise<{url: string, close: () => Promise<void>}>} `url` is the V0_API_BASE_URL to use
+ */
+export async function startFakeV0Server({ port = 0, host = '127.0.0.1', ...options } = {}) {
+    // Created once listening - demo links need the bound port
+    let client = null;
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const route = new URL(req.url, 'http://fake-v0').pathname.replace(/^\/v1(?=\/)/, '');
+
+        if (route.startsWith('/demo/')) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<h1>Fake V0 demo</h1><p>Chat ${escapeHtml(route.slice('/demo/'.length))}</p>`);
+            return;
+        }
+
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return send(401, { error: { message: 'Missing API key' } });
+        }
+
+        try {
+            const body = req.method === 'POST' ? await readJson(req) : {};
+            const messageRoute = /^\/chats\/([^/]+)\/messages$/.exec(route);
+            const chatRoute = /^\/chats\/([^/]+)$/.exec(route);
+
+            if (req.method === 'GET' && route === '/user') {
+                return send(200, { id: 'fake-user', object: 'user', name: 'Fake V0', email: 'fake@v0.localhost', avatar: '' });
+            }
+
+            if (req.method === 'POST' && route === '/chats') {
+                const chat = await client.createChat({ message: body.message || '' });
+                return send(200, toApiChat(chat));
+            }
+
+            if (req.method === 'POST' && messageRoute) {
+                const chat = await client.sendMessage({ chatId: messageRoute[1], message: body.message || '' });
+                return send(200, { ...toApiChat(chat), id: `${chat.id}-msg-${chat.revision}`, object: 'message', chatId: chat.id });
+            }
+
+            if (req.method === 'GET' && chatRoute) {
+                await client.getFiles({ chatId: chatRoute[1] });
+                return send(200, { id: chatRoute[1], object: 'chat', url: `${client.demoBaseUrl}/${chatRoute[1]}`, messages: [] });
+            }
+
+            send(404, { error: { message: `No fake route for ${req.method} ${route}` } });
+        } catch (error) {
+            send(error.status || 500, { error: { message: error.message.replace(/^HTTP \d+: /, '') } });
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const origin = `http://${host}:${server.address().port}`;
+    client = createFakeV0Client({ ...options, demoBaseUrl: options.demoBaseUrl || `${origin}/demo` });
+
+    return {
+        url: `${origin}/v1`,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+/**
+ * Helper: Deterministic chat ID from the first prompt
+ */
+function uniqueChatId(chats, message) {
+    const base = `fake-${createHash('sha256').update(message).digest('hex').slice(0, 12)}`;
+    let id = base;
+
+    for (let n = 2; chats.has(id); n++) {
+        id = `${base}-${n}`;
+    }
+
+    return id;
+}
+
+/**
+ * Helper: Component + page files named after the prompt
+ */
+function generateFiles(prompt, revision, feedback = null) {
+    const name = componentNameFrom(prompt);
+    const fileName = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    const note = feedback ? `// Revision ${revision}: ${firstLine(feedback)}\n` : '';
+
+    return [
+        {
+            path: `components/${fileName}.tsx`,
+            content: `"use client"\n\n${note}import { useState } from "react"\n\n` +
+                `export function ${name}() {\n` +
+                '  const [open, setOpen] = useState(false)\n\n' +
+                '  return (\n' +
+                '    <section className="rounded-lg border p-6">\n' +
+                `      <h2 className="text-lg font-semibold">${name}</h2>\n` +
+                '      <button onClick={() => setOpen(!open)}>{open ? "Hide" : "Show"} details</button>\n' +
+                '    </section>\n' +
+                '  )\n' +
+                '}\n',
+            language: 'typescript'
+        },
+        {
+            path: 'app/page.tsx',
+            content: `import { ${name} } from "@/components/${fileName}"\n\n` +
+                'export default function Page() {\n' +
+                `  return <${name} />\n` +
+                '}\n',
+            language: 'typescript'
+        }
+    ];
+}
+
+/**
+ * Helper: 'Build a pricing card for...' → 'PricingCard'
+ */
+function componentNameFrom(prompt) {
+    const words = firstLine(prompt)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/[^A-Za-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 2 && !['build', 'create', 'make', 'add', 'the', 'for', 'with', 'and', 'new'].includes(word.toLowerCase()))
+        .slice(0, 2);
+
+    return words.length > 0
+        ? words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('')
+        : 'GeneratedComponent';
+}
+
+/**
+ * Helper: First non-empty line, without Markdown heading marks, max 80 chars
+ */
+function firstLine(text) {
+    const line = text.split('\n').map(l => l.replace(/^#+\s*/, '').trim()).find(Boolean) || '';
+    return line.slice(0, 80);
+}
+
+/**
+ * Helper: `[fake-v0:...]` directives in a prompt
+ */
+function parseDirectives(text = '') {
+    const directives = {};
+    for (const match of text.matchAll(DIRECTIVE)) {
+        directives[match[1]] = parseInt(match[2], 10);
+    }
+    return directives;
+}
+
+/**
+ * Helper: Error shaped like v0-sdk's (`HTTP <status>: ...`)
+ */
+function createHttpError(status, message) {
+    return Object.assign(new Error(`HTTP ${status}: ${message}`), { status });
+}
+
+/**
+ * Helper: Client response for a chat
+ */
+function toResponse(chat, demoBaseUrl) {
+    return {
+        id: chat.id,
+        demoUrl: `${demoBaseUrl}/${chat.id}`,
+        files: chat.files,
+        revision: chat.messages.length,
+        text: `Fake V0 revision ${chat.messages.length}`
+    };
+}
+
+/**
+ * Helper: Client response → v0 Platform API chat body
+ */
+function toApiChat(response) {
+    return {
+        id: response.id,
+        object: 'chat',
+        url: response.demoUrl,
+        demo: response.demoUrl,
+        text: response.text,
+        files: response.files.map(file => ({ lang: file.language, meta: { file: file.path }, source: file.content }))
+    };
+}
+
+/**
+ * Helper: Parse a JSON request body
+ */
+async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        throw createHttpError(400, 'Invalid JSON body');
+    }
+}
+
+/**
+ * Helper: Escape text for the demo page
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
@@ -1,73 +1,105 @@
 import 'dotenv/config';
+import { createHash } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFakeV0Client } from './v0-fake.js';
+import { addLogContext, logger } from './logger.js';
+import { getChatHistoryStore } from './chat-history.js';
+import { v0RequestSeconds } from './metrics.js';
 
 /**
  * V0 Platform API Integration
  * 
- * Wrapper for V0 SDK to handle UI component generation sessions.
+ * Wrapper for V0 to handle UI component generation sessions.
  * V0 specializes in Next.js 14+ App Router with Tailwind CSS + shadcn/ui.
+ * 
+ * V0_CLIENT_MODE picks the backend explicitly - there is no fallback:
+ * - real (default): v0-sdk against the V0 Platform API. V0_API_BASE_URL
+ *   overrides the endpoint (e.g. the fake server from lib/v0-fake.js).
+ *   With V0_RECORD=true every response is also saved to V0_RECORDINGS_DIR.
+ * - mock: deterministic in-process fake (lib/v0-fake.js)
+ * - recorded: replays responses saved with V0_RECORD; unknown requests fail
+ * 
+ * mock and recorded post fake demo links, so they are refused when
+ * NODE_ENV=production. Call initV0Client() at startup to fail fast.
  */
 
-// Note: v0-sdk is in beta - exact API may differ
-// This implementation is based on assumed SDK patterns
-// TODO: Update once official v0-sdk documentation is available
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLIENT_MODES = ['real', 'mock', 'recorded'];
 
 let v0Client = null;
 
 /**
- * Initialize V0 client (async)
+ * Initialize the V0 client for V0_CLIENT_MODE
+ * 
+ * Real mode checks the API key against the V0 API, so a bad key or an
+ * unreachable API is reported at startup rather than on the first issue.
+ * 
+ * @returns {Promise<{mode: string, createChat: Function, sendMessage: Function, getFiles: Function}>}
+ * @throws {Error} When the mode is unknown, not allowed, or the client can't be created
  */
-async function getV0Client() {
+export async function initV0Client() {
     if (!v0Client) {
-        const apiKey = process.env.V0_API_KEY;
-        if (!apiKey) {
-            throw new Error('V0_API_KEY environment variable is required');
-        }
+        const mode = getV0ClientMode();
 
-        // Assuming v0-sdk exports a client constructor
-        // TODO: Verify actual SDK API when documentation is available
-        try {
-            const { V0Client } = await import('v0-sdk');
-            v0Client = new V0Client({ apiKey });
-        } catch (error) {
-            console.warn('v0-sdk import failed - API may not be available yet:', error.message);
-            // For now, we'll create a mock for development
-            v0Client = createMockV0Client();
-        }
+        v0Client = createClientForMode(mode)
+            .then(client => {
+                logger.info('V0 client ready', { mode });
+                return client;
+            })
+            .catch(error => {
+                v0Client = null;
+                throw new Error(`Failed to initialize V0 client (V0_CLIENT_MODE=${mode}): ${error.message}`);
+            });
     }
     return v0Client;
 }
 
+/**
+ * Configured V0 client mode
+ * 
+ * @returns {'real' | 'mock' | 'recorded'}
+ */
+export function getV0ClientMode() {
+    const mode = (process.env.V0_CLIENT_MODE || 'real').trim().toLowerCase();
+
+    if (!CLIENT_MODES.includes(mode)) {
+        throw new Error(`Unknown V0_CLIENT_MODE "${mode}" (expected ${CLIENT_MODES.join(', ')})`);
+    }
+
+    return mode;
+}
+
 /**
  * Create a new V0 session for UI component generation
  * 
  * @param {Object} params
  * @param {string} params.prompt - Natural language description of UI to generate
  * @param {Object} params.context - Additional context (tech stack, design system, etc)
+ * @param {Array<{url: string, name?: string}>} [params.attachments] - Image inputs (URLs or data URLs)
+ * @param {AbortSignal} [params.signal] - Abort the call (e.g. the agent session was stopped)
  * @returns {Promise<{chatId: string, demoUrl: string, files: Array}>}
  */
-export async function createV0Session({ prompt, context = {} }) {
-    const client = await getV0Client();
+export async function createV0Session({ prompt, context = {}, attachments = [], signal }) {
+    const client = await initV0Client();
+    const startedAt = Date.now();
+    const stopTimer = v0RequestSeconds.startTimer({ operation: 'create' });
 
     try {
-        // V0 Platform API call - exact method TBD
-        // Assumed pattern based on typical AI SDK structure
-        const response = await client.chat.create({
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            // V0-specific parameters
-            framework: context.framework || 'next',
-            styling: context.styling || 'tailwind',
-            ...context
-        });
+        const response = await abortable(signal, client.createChat({
+            message: prompt,
+            attachments: attachments.map(({ url }) => ({ url }))
+        }));
+
+        stopTimer({ outcome: 'success' });
+        addLogContext({ chatId: response.id });
+        logger.info('V0 chat created', { durationMs: Date.now() - startedAt, fileCount: response.files.length });
 
         return {
             chatId: response.id,
-            demoUrl: response.demoUrl || `https://v0.dev/chat/${response.id}`,
-            files: response.files || [],
+            demoUrl: response.demoUrl,
+            files: response.files,
             metadata: {
                 createdAt: new Date().toISOString(),
                 framework: context.framework || 'next',
@@ -75,7 +107,11 @@ export async function createV0Session({ prompt, context = {} }) {
             }
         };
     } catch (error) {
-        console.error('V0 session creation failed:', error);
+        if (signal?.aborted) {
+            throw error;
+        }
+        stopTimer({ outcome: 'error' });
+        logger.error('V0 session creation failed', { durationMs: Date.now() - startedAt, error });
         throw new Error(`Failed to create V0 session: ${error.message}`);
     }
 }
@@ -86,29 +122,37 @@ export async function createV0Session({ prompt, context = {} }) {
  * @param {Object} params
  * @param {string} params.chatId - Existing V0 chat ID
  * @param {string} params.feedback - User refinement feedback
+ * @param {AbortSignal} [params.signal] - Abort the call (e.g. the agent session was stopped)
  * @returns {Promise<{chatId: string, demoUrl: string, files: Array}>}
  */
-export async function continueV0Session({ chatId, feedback }) {
-    const client = await getV0Client();
+export async function continueV0Session({ chatId, feedback, signal }) {
+    const client = await initV0Client();
+    const startedAt = Date.now();
+    const stopTimer = v0RequestSeconds.startTimer({ operation: 'continue' });
 
     try {
-        // Continue existing chat session
-        const response = await client.chat.continue({
+        const response = await abortable(signal, client.sendMessage({
             chatId,
             message: feedback
-        });
+        }));
+
+        stopTimer({ outcome: 'success' });
+        logger.info('V0 chat continued', { chatId, durationMs: Date.now() - startedAt, fileCount: response.files.length });
 
         return {
             chatId: response.id || chatId,
-            demoUrl: response.demoUrl || `https://v0.dev/chat/${chatId}`,
-            files: response.files || [],
+            demoUrl: response.demoUrl,
+            files: response.files,
             metadata: {
-                refinedAt: new Date().toISOString(),
-                iterationCount: response.iterationCount || 1
+                refinedAt: new Date().toISOString()
             }
         };
     } catch (error) {
-        console.error('V0 session continuation failed:', error);
+        if (signal?.aborted) {
+            throw error;
+        }
+        stopTimer({ outcome: 'error' });
+        logger.error('V0 session continuation failed', { chatId, durationMs: Date.now() - startedAt, error });
         throw new Error(`Failed to continue V0 session ${chatId}: ${error.message}`);
     }
 }
@@ -116,79 +160,221 @@ export async function continueV0Session({ chatId, feedback }) {
 /**
  * Get generated files from a V0 session
  * 
+ * These are the files of the chat's last message. V0 only returns files
+ * with each message, so a client that hasn't seen the chat (e.g. a new
+ * process in real mode) can't list them; the files stored with the chat's
+ * latest iteration in chat history are used instead.
+ * 
  * @param {string} chatId - V0 chat ID
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort the call
  * @returns {Promise<Array<{path: string, content: string, language: string}>>}
  */
-export async function getV0SessionFiles(chatId) {
-    const client = await getV0Client();
+export async function getV0SessionFiles(chatId, { signal } = {}) {
+    const client = await initV0Client();
 
-    try {
-        // Retrieve files from session
-        const response = await client.chat.getFiles({ chatId });
+    let files;
 
-        return response.files.map(file => ({
-            path: file.path,
-            content: file.content,
-            language: file.language || inferLanguageFromPath(file.path)
-        }));
+    try {
+        files = await abortable(signal, client.getFiles({ chatId }));
     } catch (error) {
-        console.error('Failed to retrieve V0 session files:', error);
-        throw new Error(`Failed to get files for session ${chatId}: ${error.message}`);
+        if (signal?.aborted) {
+            throw error;
+        }
+
+        files = await getStoredChatFiles(chatId);
+        if (!files) {
+            logger.error('Failed to retrieve V0 session files', { chatId, error });
+            throw new Error(`Failed to get files for session ${chatId}: ${error.message}`);
+        }
+        logger.info('Using stored V0 chat files', { chatId, fileCount: files.length });
     }
+
+    return files.map(file => ({
+        path: file.path,
+        content: file.content,
+        language: file.language || inferLanguageFromPath(file.path)
+    }));
 }
 
 /**
- * Format a Linear issue into a V0-optimized prompt
- * 
- * V0 specializes in UI generation, so we emphasize:
- * - Visual/UX requirements
- * - Responsive design needs
- * - Dark mode support
- * - Accessibility requirements
- * - Component composition
- * 
- * @param {Object} issue - Linear issue object
- * @returns {string} V0-optimized prompt
+ * Helper: Files of the latest stored iteration of a chat, or null
  */
-export function formatIssueForV0Prompt(issue) {
-    const { title, description, labels = [] } = issue;
+async function getStoredChatFiles(chatId) {
+    const record = await getChatHistoryStore().findSessionByChatId(chatId);
+    const iteration = record?.iterations.filter(i => i.chatId === chatId && i.files?.length > 0).pop();
 
-    // Extract UI-relevant labels
-    const darkMode = labels.some(l => l.toLowerCase().includes('dark'));
-    const responsive = labels.some(l => l.toLowerCase().includes('responsive'));
-    const a11y = labels.some(l => l.toLowerCase().includes('a11y') || l.toLowerCase().includes('accessibility'));
+    return iteration ? iteration.files : null;
+}
 
-    let prompt = `# Component Request: ${title}\n\n`;
+/**
+ * Helper: Build the client for a mode
+ */
+async function createClientForMode(mode) {
+    if (mode !== 'real' && process.env.NODE_ENV === 'production') {
+        throw new Error(`${mode} mode posts fake demo links and is not allowed when NODE_ENV=production`);
+    }
+
+    const recordingsDir = process.env.V0_RECORDINGS_DIR
+        ? path.resolve(process.env.V0_RECORDINGS_DIR)
+        : path.join(PROJECT_ROOT, 'data', 'v0-recordings');
+
+    if (mode === 'mock') {
+        logger.warn('Using the fake V0 client - demo links are not real');
+        return createFakeV0Client({ latencyMs: parseInt(process.env.V0_MOCK_LATENCY_MS || '0', 10) });
+    }
 
-    if (description) {
-        prompt += `## Requirements\n${description}\n\n`;
+    if (mode === 'recorded') {
+        logger.warn('Replaying recorded V0 responses', { recordingsDir });
+        return createRecordedV0Client(recordingsDir);
     }
 
-    // V0-specific tech stack constraints
-    prompt += `## Tech Stack\n`;
-    prompt += `- Framework: Next.js 14+ (App Router)\n`;
-    prompt += `- Styling: Tailwind CSS\n`;
-    prompt += `- Components: shadcn/ui\n`;
-    prompt += `- Language: TypeScript (strict mode)\n\n`;
-
-    // Design requirements from labels
-    if (darkMode || responsive || a11y) {
-        prompt += `## Design Requirements\n`;
-        if (darkMode) prompt += `- ✅ Dark mode support with proper color schemes\n`;
-        if (responsive) prompt += `- ✅ Fully responsive (mobile, tablet, desktop)\n`;
-        if (a11y) prompt += `- ✅ WCAG 2.1 AA accessibility compliance\n`;
-        prompt += `\n`;
+    const client = await createSdkV0Client();
+    return process.env.V0_RECORD === 'true' ? withRecording(client, recordingsDir) : client;
+}
+
+/**
+ * Helper: Adapter over v0-sdk
+ * 
+ * The v0 Platform API returns files with each chat/message response but has
+ * no endpoint to list a chat's files (GET /chats/:id has none), so the latest
+ * files per chat are kept in memory for getFiles(). Other processes fall
+ * back to chat history (see getV0SessionFiles).
+ */
+async function createSdkV0Client() {
+    const apiKey = process.env.V0_API_KEY;
+    if (!apiKey) {
+        throw new Error('V0_API_KEY environment variable is required');
     }
 
-    // Best practices
-    prompt += `## Additional Guidelines\n`;
-    prompt += `- Use semantic HTML elements\n`;
-    prompt += `- Implement proper TypeScript types\n`;
-    prompt += `- Use Tailwind's design tokens (colors, spacing)\n`;
-    prompt += `- Ensure components are reusable and composable\n`;
-    prompt += `- Add hover/focus states for interactive elements\n`;
+    const { createClient } = await import('v0-sdk');
+    const sdk = createClient({ apiKey, baseUrl: process.env.V0_API_BASE_URL || undefined });
+
+    await sdk.user.get();
+
+    const latestFiles = new Map();
+    const toResponse = (response, chatId) => {
+        const files = (response.files || []).map((file, index) => ({
+            path: file.meta?.file || file.meta?.filename || file.meta?.path || `file-${index + 1}.${file.lang || 'txt'}`,
+            content: file.source,
+            language: file.lang
+        }));
+        latestFiles.set(chatId, files);
+
+        return { id: chatId, demoUrl: response.demo || response.url, files, text: response.text };
+    };
+
+    return {
+        mode: 'real',
+
+        async createChat({ message, attachments }) {
+            const response = await sdk.chats.create({ message, attachments });
+            return toResponse(response, response.id);
+        },
 
-    return prompt;
+        async sendMessage({ chatId, message }) {
+            const response = await sdk.chats.createMessage({ chatId, message });
+            return toResponse(response, response.chatId || chatId);
+        },
+
+        async getFiles({ chatId }) {
+            const files = latestFiles.get(chatId);
+            if (!files) {
+                throw new Error(`No files known for chat ${chatId} - V0 only returns files with each message`);
+            }
+            return files;
+        }
+    };
+}
+
+/**
+ * Helper: Save every response of a client to the recordings directory
+ */
+function withRecording(client, directory) {
+    const record = (operation) => async (params) => {
+        const response = await client[operation](params);
+        await saveRecording(directory, operation, params, response);
+        return response;
+    };
+
+    return {
+        ...client,
+        createChat: record('createChat'),
+        sendMessage: record('sendMessage'),
+        getFiles: record('getFiles')
+    };
+}
+
+/**
+ * Helper: Client that answers from saved recordings only
+ */
+function createRecordedV0Client(directory) {
+    const replay = (operation) => async (params) => {
+        const file = path.join(directory, recordingName(operation, params));
+
+        try {
+            return JSON.parse(await readFile(file, 'utf8')).response;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No recorded V0 response for ${operation} (${path.basename(file)}) - record it with V0_CLIENT_MODE=real V0_RECORD=true`);
+            }
+            throw error;
+        }
+    };
+
+    return {
+        mode: 'recorded',
+        createChat: replay('createChat'),
+        sendMessage: replay('sendMessage'),
+        getFiles: replay('getFiles')
+    };
+}
+
+/**
+ * Helper: Write one recording (atomic: temp file + rename)
+ */
+async function saveRecording(directory, operation, params, response) {
+    const file = path.join(directory, recordingName(operation, params));
+    const tmpFile = `${file}.${process.pid}.tmp`;
+
+    await mkdir(directory, { recursive: true });
+    await writeFile(tmpFile, JSON.stringify({
+        operation,
+        chatId: params.chatId || response.id,
+        message: params.message?.slice(0, 200),
+        recordedAt: new Date().toISOString(),
+        response
+    }, null, 2));
+    await rename(tmpFile, file);
+}
+
+/**
+ * Helper: Recording file name - the same request always maps to the same file
+ */
+function recordingName(operation, params) {
+    const hash = createHash('sha256').update(JSON.stringify({ operation, ...params })).digest('hex');
+    return `${operation}-${hash.slice(0, 16)}.json`;
+}
+
+/**
+ * Helper: Reject as soon as `signal` aborts
+ * 
+ * v0-sdk doesn't accept an AbortSignal, so the request itself keeps running;
+ * its result is simply ignored once the caller has given up.
+ */
+function abortable(signal, promise) {
+    if (!signal) {
+        return promise;
+    }
+
+    signal.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
 }
 
 /**
@@ -207,48 +393,3 @@ function inferLanguageFromPath(path) {
     };
     return languageMap[ext] || 'plaintext';
 }
-
-/**
- * Mock V0 client for development (until SDK is available)
- * TEMPORARY - Remove once v0-sdk is stable
- */
-function createMockV0Client() {
-    console.warn('Using MOCK V0 client - real API not available');
-
-    return {
-        chat: {
-            create: async ({ messages }) => ({
-                id: `mock-${Date.now()}`,
-                demoUrl: `https://v0.dev/chat/mock-${Date.now()}`,
-                files: [
-                    {
-                        path: 'components/example.tsx',
-                        content: '// Mock generated component\nexport default function Example() {\n  return <div>Mock Component</div>;\n}',
-                        language: 'typescript'
-                    }
-                ]
-            }),
-            continue: async ({ chatId, message }) => ({
-                id: chatId,
-                demoUrl: `https://v0.dev/chat/${chatId}`,
-                files: [
-                    {
-                        path: 'components/example.tsx',
-                        content: '// Mock refined component\nexport default function Example() {\n  return <div>Refined Mock Component</div>;\n}',
-                        language: 'typescript'
-                    }
-                ],
-                iterationCount: 2
-            }),
-            getFiles: async ({ chatId }) => ({
-                files: [
-                    {
-                        path: 'components/example.tsx',
-                        content: '// Mock component files',
-                        language: 'typescript'
-                    }
-                ]
-            })
-        }
-    };
-}
@@ -0,0 +1,365 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { mkdtemp, readFile, writeFile } from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { setAgentLinearClientFactory } from './linear-oauth.js';
+import { createMockLinearClient } from './linear-mock.js';
+import { loadWebhookRecordings } from '../middleware/webhook-record.js';
+import { logger } from './logger.js';
+
+/**
+ * Webhook replay
+ *
+ * Replays recorded AgentSessionEvent sequences (see
+ * middleware/webhook-record.js) through the real server - index.js, with
+ * signature verification, dedupe and the job queue - against a mock Linear
+ * client and mock V0, then checks for every agent session:
+ *
+ * - Each delivery is accepted (HTTP 200)
+ * - `created` deliveries get their first activity, a thought, within 10
+ *   seconds (.gemini/SPEC_COMPLIANCE.md)
+ * - The activities each delivery emits (after its jobs finish) match
+ *   `<sessionId>.expected.json` next to the recordings, in order
+ *
+ * Used by scripts/replay-webhooks.js and test/webhook-replay.test.js. The
+ * server runs in this process and reads its configuration at import, so one
+ * replay per process.
+ */
+
+const FIRST_THOUGHT_LIMIT_MS = 10 * 1000;
+
+/**
+ * Create a replay over a directory of recordings
+ *
+ * Webhooks don't carry labels: they're kept in the expectation's `issue`,
+ * and `labels` overrides them for every session.
+ *
+ * @param {Object} options
+ * @param {string} options.recordingsDir - Recordings and expectation files
+ * @param {string[]} [options.labels] - Labels for every session's issue
+ * @param {number} [options.timeoutMs=60000] - How long each delivery's jobs may run
+ * @returns {Promise<Object>} `sessions` (sessionId -> recordings), start(), replay(), writeExpectation(), stop()
+ */
+export async function createWebhookReplay({ recordingsDir, labels, timeoutMs = 60000 }) {
+    const sessions = groupBySession(await loadWebhookRecordings([recordingsDir]));
+    const expectations = new Map();
+    const linearClient = createMockLinearClient();
+    const secret = crypto.randomBytes(32).toString('hex');
+    let baseUrl = null;
+    let queue = null;
+
+    for (const sessionId of sessions.keys()) {
+        expectations.set(sessionId, await readExpectation(recordingsDir, sessionId));
+    }
+
+    /**
+     * Helper: Issue served by the mock Linear client for a session
+     */
+    function mockIssue(sessionId) {
+        const recordings = sessions.get(sessionId);
+        const issue = recordings.find(r => r.body.data.agentSession.issue)?.body.data.agentSession.issue || {};
+        const teamKey = issue.team?.key || issue.identifier?.split('-')[0];
+
+        return {
+            ...issue,
+            labels: issue.labels || [],
+            team: teamKey ? { id: issue.team?.id || issue.teamId || teamKey, key: teamKey, name: issue.team?.name || teamKey } : null,
+            ...expectations.get(sessionId)?.issue,
+            ...(labels ? { labels } : {}),
+            id: issue.id
+        };
+    }
+
+    /**
+     * Helper: Re-sign a recording for this server and POST it
+     *
+     * The timestamp is refreshed so replay protection accepts it; the delivery
+     * ID is kept so recorded redeliveries are still deduped.
+     */
+    async function postWebhook(recording) {
+        const body = JSON.stringify({ ...recording.body, webhookTimestamp: Date.now() });
+        const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+        const response = await fetch(`${baseUrl}/webhook/linear`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'linear-delivery': recording.headers['linear-delivery'] || crypto.randomUUID(),
+                'linear-event': recording.headers['linear-event'] || recording.body.type,
+                'linear-signature': signature
+            },
+            body
+        });
+
+        await response.arrayBuffer();
+        return response.status;
+    }
+
+    return {
+        sessions,
+
+        /**
+         * Start the server in this process with fresh state, mock clients, no
+         * PRs and no re-recording
+         */
+        async start() {
+            const stateDir = await mkdtemp(path.join(os.tmpdir(), 'linear-agent-v0-replay-'));
+            const port = await findFreePort();
+
+            Object.assign(process.env, {
+                PORT: String(port),
+                NODE_ENV: 'test',
+                V0_CLIENT_MODE: 'mock',
+                LINEAR_WEBHOOK_SECRET: secret,
+                LINEAR_ACCESS_TOKEN: 'mock-linear-token',
+                CHAT_HISTORY_DIR: path.join(stateDir, 'chat-history'),
+                JOB_QUEUE_DIR: path.join(stateDir, 'jobs'),
+                INSTALLATIONS_DIR: path.join(stateDir, 'installations'),
+                JOB_RETRY_BACKOFF_MS: '100'
+            });
+            delete process.env.GITHUB_TOKEN;
+            delete process.env.WEBHOOK_RECORD_DIR;
+
+            setAgentLinearClientFactory(() => linearClient);
+            for (const sessionId of sessions.keys()) {
+                linearClient.addIssue(mockIssue(sessionId));
+            }
+
+            await import('../index.js');
+            queue = (await import('./job-queue.js')).getJobQueue();
+            baseUrl = `http://127.0.0.1:${port}`;
+            await waitForServer(`${baseUrl}/health`);
+        },
+
+        /**
+         * Replay one session's deliveries and check what the agent emitted
+         *
+         * @param {string} sessionId
+         * @param {Object} [options]
+         * @param {boolean} [options.update] - Skip the expectation check (see writeExpectation())
+         * @returns {Promise<{deliveries: Object[], problems: string[], firstThoughtMs: number|null}>}
+         */
+        async replay(sessionId, { update = false } = {}) {
+            const deliveries = [];
+            const problems = [];
+            let firstThoughtMs = null;
+
+            for (const recording of sessions.get(sessionId)) {
+                const event = `${recording.body.type}.${recording.body.action}`;
+                const callsBefore = linearClient.calls.length;
+                const sentAt = Date.now();
+
+                const status = await postWebhook(recording);
+                if (status !== 200) {
+                    problems.push(`${event} was answered with HTTP ${status}`);
+                }
+
+                try {
+                    await queue.waitForIdle({ sessionId, timeoutMs });
+                } catch (error) {
+                    problems.push(`${event}: ${error.message}`);
+                }
+
+                const calls = linearClient.calls
+                    .slice(callsBefore)
+                    .filter(call => call.method === 'createAgentActivity' && call.sessionId === sessionId);
+
+                if (event === 'AgentSessionEvent.created') {
+                    const first = calls[0];
+                    const elapsed = first ? new Date(first.at).getTime() - sentAt : null;
+
+                    if (!first) {
+                        problems.push('created: no activity emitted');
+                    } else if (first.input.content.type !== 'thought') {
+                        problems.push(`created: first activity is a ${first.input.content.type}, expected a thought`);
+                    } else if (elapsed > FIRST_THOUGHT_LIMIT_MS) {
+                        problems.push(`created: first thought after ${elapsed}ms (limit ${FIRST_THOUGHT_LIMIT_MS}ms)`);
+                    }
+
+                    firstThoughtMs ??= elapsed;
+                }
+
+                deliveries.push({
+                    event,
+                    activities: calls.map(({ input: { content } }) => ({
+                        type: content.type,
+                        text: content.text ?? content.body ?? null
+                    }))
+                });
+            }
+
+            const expected = expectations.get(sessionId);
+
+            if (!update) {
+                if (!expected) {
+                    problems.push(`No ${path.basename(expectationFile(recordingsDir, sessionId))} - run with --update to create it`);
+                } else {
+                    problems.push(...compareDeliveries(expected.deliveries || [], deliveries));
+                }
+            }
+
+            return { deliveries, problems, firstThoughtMs };
+        },
+
+        /**
+         * Save a replay's activities as the session's expectation
+         *
+         * @param {string} sessionId
+         * @param {{deliveries: Object[]}} result - From replay()
+         */
+        async writeExpectation(sessionId, { deliveries }) {
+            const expected = { sessionId, issue: pickIssueFields(mockIssue(sessionId)), deliveries };
+
+            await writeFile(expectationFile(recordingsDir, sessionId), `${JSON.stringify(expected, null, 2)}\n`);
+            expectations.set(sessionId, expected);
+        },
+
+        /**
+         * Stop the job queue
+         */
+        stop() {
+            queue?.stop();
+        }
+    };
+}
+
+/**
+ * Compare replayed activities with the expectation, delivery by delivery
+ *
+ * Expected activities need a `type`; `text` is compared only when present,
+ * so it can be removed from an expectation to loosen it.
+ *
+ * @param {Object[]} expected - Expected deliveries
+ * @param {Object[]} actual - Replayed deliveries
+ * @returns {string[]} Problems
+ */
+function compareDeliveries(expected, actual) {
+    const problems = [];
+
+    if (expected.length !== actual.length) {
+        problems.push(`expected ${expected.length} deliveries, replayed ${actual.length}`);
+    }
+
+    for (const [index, delivery] of actual.entries()) {
+        const want = expected[index]?.activities || [];
+        const label = `#${index + 1} ${delivery.event}`;
+
+        for (let i = 0; i < Math.max(want.length, delivery.activities.length); i++) {
+            const a = want[i];
+            const b = delivery.activities[i];
+
+            if (!a || !b) {
+                problems.push(`${label}: expected ${want.length} activities, got ${delivery.activities.length}` +
+                    (b ? ` (first extra: ${describeActivity(b)})` : ` (first missing: ${describeActivity(a)})`));
+                break;
+            }
+
+            if (a.type !== b.type || (a.text !== undefined && a.text !== b.text)) {
+                problems.push(`${label}: activity ${i + 1} expected ${describeActivity(a)}, got ${describeActivity(b)}`);
+                break;
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Helper: AgentSessionEvent recordings by session, in recorded order
+ */
+function groupBySession(recordings) {
+    const sessions = new Map();
+
+    for (const recording of recordings) {
+        const sessionId = recording.body.data?.agentSession?.id;
+
+        if (!sessionId) {
+            logger.warn('Skipping recording without an agent session', { file: path.basename(recording.file) });
+            continue;
+        }
+
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, []);
+        }
+        sessions.get(sessionId).push(recording);
+    }
+
+    return sessions;
+}
+
+/**
+ * Helper: Issue fields worth keeping in an expectation file
+ */
+function pickIssueFields({ labels, team, project, description, attachments }) {
+    return Object.fromEntries(
+        Object.entries({ labels, team, project, description, attachments }).filter(([, value]) => value !== undefined)
+    );
+}
+
+/**
+ * Helper: `<dir>/<sessionId>.expected.json`
+ */
+function expectationFile(dir, sessionId) {
+    return path.join(dir, `${String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_')}.expected.json`);
+}
+
+/**
+ * Helper: Expectation for a session, or null
+ */
+async function readExpectation(dir, sessionId) {
+    const file = expectationFile(dir, sessionId);
+
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Helper: 'thought "Analyzing UI..."' for problem reports
+ */
+function describeActivity({ type, text }) {
+    const preview = text ? ` "${text.replace(/\s+/g, ' ').slice(0, 60)}${text.length > 60 ? '...' : ''}"` : '';
+    return `${type}${preview}`;
+}
+
+/**
+ * Helper: A port nothing is listening on
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Helper: Resolve once the server answers its health check
+ */
+async function waitForServer(url) {
+    const deadline = Date.now() + 10000;
+
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return;
+            }
+        } catch {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error(`Server did not start at ${url}`);
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import * as z from 'zod/v4';
+import { initV0Client } from './lib/v0.js';
+import { configureLogger, logger } from './lib/logger.js';
+import { createSessionFromIssue, getSessionStatus, refineSession } from './lib/issue-sessions.js';
+
+/**
+ * MCP Server (stdio)
+ *
+ * Lets IDE assistants start and refine V0 generations from a Linear issue
+ * identifier (e.g. 'SYS-353'):
+ * - v0_create_from_issue: issue → V0 prompt → new V0 chat
+ * - v0_refine_session: send feedback to an existing chat
+ * - v0_monitor_status: chat/session state, demo URL, PR and files
+ *
+ * Sessions are recorded in the same chat history store as the webhook path
+ * (CHAT_HISTORY_DIR), so chats started here show up there and vice versa.
+ * MCP-created sessions use an `mcp-` session ID (see lib/issue-sessions.js).
+ *
+ * Uses LINEAR_API_KEY for Linear and V0_CLIENT_MODE for V0 (see lib/v0.js).
+ * Add it to an MCP client as: `node /path/to/linear-agent-v0/mcp-server.js`
+ */
+
+// stdout carries the MCP protocol - logs must go to stderr
+configureLogger({ stream: process.stderr });
+
+const fileSummary = z.object({
+    path: z.string(),
+    language: z.string().optional()
+});
+
+const sessionResult = {
+    sessionId: z.string().nullable().describe('Chat history session (null if the chat is not recorded)'),
+    chatId: z.string(),
+    demoUrl: z.string().nullable(),
+    issueIdentifier: z.string().nullable(),
+    iteration: z.number().nullable().describe('Iteration number in chat history'),
+    files: z.array(fileSummary)
+};
+
+const server = new McpServer({
+    name: 'linear-agent-v0',
+    version: '1.0.0'
+});
+
+server.registerTool('v0_create_from_issue', {
+    title: 'Create V0 session from Linear issue',
+    description: 'Fetch a Linear issue, build a V0 prompt from it (team tech stack, design system, house rules) and start a new V0 chat.',
+    inputSchema: {
+        issueId: z.string().describe("Linear issue identifier (e.g. 'SYS-353') or UUID")
+    },
+    outputSchema: sessionResult
+}, runTool(async ({ issueId }) => {
+    const { issue, record, v0Session } = await createSessionFromIssue(issueId, { source: 'mcp' });
+
+    return {
+        text: `Created V0 chat ${v0Session.chatId} for ${issue.identifier} (${issue.title})\n` +
+            `Demo: ${v0Session.demoUrl}\nFiles: ${formatFileList(v0Session.files)}`,
+        result: {
+            sessionId: record.sessionId,
+            chatId: v0Session.chatId,
+            demoUrl: v0Session.demoUrl,
+            issueIdentifier: issue.identifier,
+            iteration: record.iterations.length,
+            files: summarizeFiles(v0Session.files)
+        }
+    };
+}));
+
+server.registerTool('v0_refine_session', {
+    title: 'Refine V0 session',
+    description: 'Send refinement feedback to an existing V0 chat, identified by chat ID or by Linear issue (latest session for the issue).',
+    inputSchema: {
+        chatId: z.string().optional().describe('V0 chat ID'),
+        issueId: z.string().optional().describe("Linear issue identifier - uses the issue's latest V0 chat"),
+        feedback: z.string().min(1).describe('What to change')
+    },
+    outputSchema: {
+        ...sessionResult,
+        changes: z.string().nullable().describe('Summary of file changes since the previous iteration')
+    }
+}, runTool(async ({ chatId, issueId, feedback }) => {
+    const { record: updated, v0Session, changes } = await refineSession({ chatId, issueId, feedback });
+
+    return {
+        text: `Refined V0 chat ${v0Session.chatId}\nDemo: ${v0Session.demoUrl}` + (changes ? `\n\n${changes}` : ''),
+        result: {
+            sessionId: updated?.sessionId || null,
+            chatId: v0Session.chatId,
+            demoUrl: v0Session.demoUrl,
+            issueIdentifier: updated?.issueIdentifier || null,
+            iteration: updated?.iterations.length || null,
+            files: summarizeFiles(v0Session.files),
+            changes
+        }
+    };
+}));
+
+server.registerTool('v0_monitor_status', {
+    title: 'V0 session status',
+    description: 'Current state of a V0 chat: session state, iterations, latest demo, draft PR and the files of its last message.',
+    inputSchema: {
+        chatId: z.string().optional().describe('V0 chat ID'),
+        issueId: z.string().optional().describe("Linear issue identifier - uses the issue's latest V0 chat")
+    },
+    outputSchema: {
+        ...sessionResult,
+        state: z.string().nullable(),
+        iterations: z.number(),
+        pullRequestUrl: z.string().nullable(),
+        plan: z.record(z.string(), z.string()).nullable()
+    },
+    annotations: { readOnlyHint: true }
+}, runTool(async ({ chatId, issueId }) => {
+    const { record, chatId: targetChatId, demoUrl, files } = await getSessionStatus({ chatId, issueId });
+
+    return {
+        text: [
+            `V0 chat ${targetChatId}` + (record ? ` (${record.issueIdentifier || record.issueId}, ${record.state})` : ' (not in chat history)'),
+            `Iterations: ${record?.iterations.length ?? 'unknown'}`,
+            `Demo: ${demoUrl || 'unknown'}`,
+            `Draft PR: ${record?.pullRequest?.url || 'none'}`,
+            `Files: ${formatFileList(files)}`
+        ].join('\n'),
+        result: {
+            sessionId: record?.sessionId || null,
+            chatId: targetChatId,
+            demoUrl,
+            issueIdentifier: record?.issueIdentifier || null,
+            iteration: record?.iterations.length || null,
+            files: summarizeFiles(files),
+            state: record?.state || null,
+            iterations: record?.iterations.length || 0,
+            pullRequestUrl: record?.pullRequest?.url || null,
+            plan: record?.plan || null
+        }
+    };
+}));
+
+/**
+ * Wrap a tool implementation: `{ text, result }` → MCP result, errors → isError
+ */
+function runTool(handler) {
+    return async (args) => {
+        try {
+            const { text, result } = await handler(args);
+            return {
+                content: [{ type: 'text', text }],
+                structuredContent: result
+            };
+        } catch (error) {
+            logger.error('MCP tool failed', { error });
+            return {
+                content: [{ type: 'text', text: error.message }],
+                isError: true
+            };
+        }
+    };
+}
+
+/**
+ * Helper: Files without their content
+ */
+function summarizeFiles(files = []) {
+    return files.map(({ path, language }) => ({ path, language }));
+}
+
+/**
+ * Helper: 'a.tsx, b.tsx' for text output
+ */
+function formatFileList(files = []) {
+    return files.length > 0 ? files.map(f => f.path).join(', ') : 'none';
+}
+
+// Fail fast on V0 misconfiguration, like the HTTP server
+try {
+    await initV0Client();
+} catch (error) {
+    logger.error('Startup failed', { error });
+    process.exit(1);
+}
+
+await server.connect(new StdioServerTransport());
+logger.info('MCP server running on stdio');
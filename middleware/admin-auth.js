@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Admin endpoint authentication
+ *
+ * Guards the debugging and monitoring endpoints (/jobs, /metrics) - they
+ * expose session and issue IDs and raw error messages, and the server sits
+ * behind a public tunnel.
+ *
+ * - ADMIN_TOKEN set: requests need `Authorization: Bearer <ADMIN_TOKEN>`
+ * - ADMIN_TOKEN unset: only direct local requests are allowed. Tunnels
+ *   (cloudflared, ngrok) connect from localhost too, so requests carrying
+ *   proxy headers are refused.
+ */
+
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'cf-connecting-ip', 'x-real-ip'];
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * Middleware to require the admin token (or a direct local request)
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function requireAdminToken(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+
+    if (token) {
+        const [scheme, provided] = (req.headers.authorization || '').split(' ');
+
+        if (scheme !== 'Bearer' || !provided || !safeEqual(provided, token)) {
+            logger.warn('Rejected admin request', { path: req.path });
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        return next();
+    }
+
+    if (!isDirectLocalRequest(req)) {
+        logger.warn('Rejected remote admin request (ADMIN_TOKEN not set)', { path: req.path });
+        return res.status(403).json({ error: 'Set ADMIN_TOKEN to access this endpoint remotely' });
+    }
+
+    next();
+}
+
+/**
+ * Helper: Request made from this machine, not forwarded by a proxy
+ */
+function isDirectLocalRequest(req) {
+    return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) &&
+        !PROXY_HEADERS.some(header => req.headers[header] !== undefined);
+}
+
+/**
+ * Helper: Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+}
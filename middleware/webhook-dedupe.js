@@ -0,0 +1,117 @@
+import { parseLinearWebhook } from './webhook-verify.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Webhook deduplication middleware for Linear
+ *
+ * Linear retries deliveries it considers failed, so the same
+ * AgentSessionEvent can arrive more than once. Each request is keyed on:
+ * - The delivery ID (`linear-delivery` header)
+ * - The agent session ID for `created` events, and the prompt activity ID
+ *   for `prompted` events - so a redelivery with a new delivery ID still
+ *   can't start a second V0 chat
+ *
+ * Keys are remembered for WEBHOOK_DEDUPE_TTL_MS (default 1 hour). If
+ * processing fails with a 5xx the keys are released so Linear's retry
+ * is accepted.
+ */
+
+const seenKeys = new Map();
+
+const stats = {
+    duplicatesDropped: 0
+};
+
+/**
+ * Middleware to drop duplicate Linear webhook deliveries
+ *
+ * Must run after verifyLinearWebhook (only verified payloads are recorded).
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function dedupeLinearWebhook(req, res, next) {
+    const ttl = parseInt(process.env.WEBHOOK_DEDUPE_TTL_MS || '3600000', 10);
+    const now = Date.now();
+
+    pruneExpired(now);
+
+    const keys = getDedupeKeys(req);
+    const duplicateKey = keys.find(key => seenKeys.has(key));
+
+    if (duplicateKey) {
+        stats.duplicatesDropped++;
+
+        const { type, action } = parseLinearWebhook(req.body);
+        logger.warn('Dropped duplicate webhook delivery', {
+            event: `${type}.${action}`,
+            key: duplicateKey,
+            duplicatesDropped: stats.duplicatesDropped
+        });
+
+        // 200 so Linear stops retrying
+        return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    for (const key of keys) {
+        seenKeys.set(key, now + ttl);
+    }
+
+    // Release keys if processing fails so the retry isn't treated as a duplicate
+    res.on('finish', () => {
+        if (res.statusCode >= 500) {
+            for (const key of keys) {
+                seenKeys.delete(key);
+            }
+        }
+    });
+
+    next();
+}
+
+/**
+ * Dedupe counters (for logs and metrics)
+ *
+ * @returns {{duplicatesDropped: number, trackedKeys: number}}
+ */
+export function getWebhookDedupeStats() {
+    return {
+        ...stats,
+        trackedKeys: seenKeys.size
+    };
+}
+
+/**
+ * Helper: Build the dedupe keys for a request
+ */
+function getDedupeKeys(req) {
+    const { type, action, data } = parseLinearWebhook(req.body);
+    const keys = [];
+
+    const deliveryId = req.headers['linear-delivery'];
+    if (deliveryId) {
+        keys.push(`delivery:${deliveryId}`);
+    }
+
+    if (type === 'AgentSessionEvent' && action === 'created' && data?.agentSession?.id) {
+        keys.push(`session-created:${data.agentSession.id}`);
+    }
+
+    if (type === 'AgentSessionEvent' && action === 'prompted' && data?.agentActivity?.id) {
+        keys.push(`session-prompted:${data.agentActivity.id}`);
+    }
+
+    return keys;
+}
+
+/**
+ * Helper: Forget keys whose TTL has passed
+ */
+function pruneExpired(now) {
+    for (const [key, expiresAt] of seenKeys) {
+        if (expiresAt <= now) {
+            seenKeys.delete(key);
+        }
+    }
+}
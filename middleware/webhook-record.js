@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { mkdir, readFile, readdir, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { parseLinearWebhook } from './webhook-verify.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Webhook recording middleware for Linear
+ *
+ * When WEBHOOK_RECORD_DIR is set, every verified delivery is saved there as
+ * `<time>-<type>.<action>-<delivery>.webhook.json`:
+ *
+ *   { recordedAt, headers, body }
+ *
+ * Signatures, tokens, secrets and API keys are replaced with `[REDACTED]`,
+ * anywhere in the headers or payload. Issue text and prompt contexts are
+ * kept - they're what replays need - so treat recordings as workspace data.
+ *
+ * Recordings are replayed with `scripts/replay-webhooks.js` (assertions on
+ * the emitted activities) or `linear-agent-v0 replay-webhook`.
+ */
+
+const RECORDED_HEADERS = ['content-type', 'user-agent', 'linear-delivery', 'linear-event', 'linear-signature'];
+const SECRET_KEY = /token|secret|password|signature|authorization|cookie|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const RECORDING_SUFFIX = '.webhook.json';
+
+/**
+ * Middleware to save verified webhook deliveries to WEBHOOK_RECORD_DIR
+ *
+ * Must run after verifyLinearWebhook. Never delays or fails the request -
+ * recording errors are only logged.
+ *
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function recordLinearWebhook(req, res, next) {
+    const directory = process.env.WEBHOOK_RECORD_DIR;
+
+    if (directory) {
+        writeRecording(path.resolve(directory), req)
+            .catch(error => logger.error('Failed to record webhook', { error }));
+    }
+
+    next();
+}
+
+/**
+ * Replace secret values in a payload or header set
+ *
+ * @param {*} value - JSON value
+ * @returns {*} Copy with secret-looking keys redacted
+ */
+export function redactWebhookPayload(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactWebhookPayload);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SECRET_KEY.test(key) && item !== null && item !== '' ? REDACTED : redactWebhookPayload(item)
+        ]));
+    }
+
+    return value;
+}
+
+/**
+ * Load recorded deliveries
+ *
+ * Accepts recording files, directories of recordings (oldest first - file
+ * names start with the time) and plain webhook payload files (one payload
+ * or an array), which get empty headers. Files keep the order given.
+ *
+ * @param {string[]} paths - Files or directories
+ * @returns {Promise<Array<{file: string, recordedAt: string|null, headers: Object, body: Object}>>}
+ */
+export async function loadWebhookRecordings(paths) {
+    const recordings = [];
+
+    for (const entry of paths) {
+        const files = (await stat(entry)).isDirectory()
+            ? (await readdir(entry)).filter(name => name.endsWith(RECORDING_SUFFIX)).sort().map(name => path.join(entry, name))
+            : [entry];
+
+        for (const file of files) {
+            let parsed;
+            try {
+                parsed = JSON.parse(await readFile(file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to read webhook recording ${file}: ${error.message}`);
+            }
+
+            for (const item of Array.isArray(parsed) ? parsed : [parsed]) {
+                const recording = item?.body && item?.headers
+                    ? { file, recordedAt: item.recordedAt || null, headers: item.headers, body: item.body }
+                    : { file, recordedAt: null, headers: {}, body: item };
+
+                if (!recording.body?.type || !recording.body?.action) {
+                    throw new Error(`${file} does not look like a Linear webhook payload (missing type/action)`);
+                }
+
+                recordings.push(recording);
+            }
+        }
+    }
+
+    return recordings;
+}
+
+/**
+ * Helper: Write one delivery
+ */
+async function writeRecording(directory, req) {
+    const { type, action } = parseLinearWebhook(req.body);
+    const recordedAt = new Date().toISOString();
+    const delivery = req.headers['linear-delivery'] || crypto.randomUUID();
+
+    const headers = Object.fromEntries(
+        RECORDED_HEADERS
+            .filter(name => req.headers[name] !== undefined)
+            .map(name => [name, req.headers[name]])
+    );
+
+    const name = [
+        recordedAt.replace(/[:.]/g, '-'),
+        `${type}.${action}`,
+        String(delivery).replace(/[^a-zA-Z0-9_-]/g, '_')
+    ].join('-');
+
+    await mkdir(directory, { recursive: true });
+    await writeFile(
+        path.join(directory, `${name}${RECORDING_SUFFIX}`),
+        JSON.stringify({ recordedAt, headers: redactWebhookPayload(headers), body: redactWebhookPayload(req.body) }, null, 2)
+    );
+}
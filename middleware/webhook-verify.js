@@ -1,24 +1,49 @@
 import crypto from 'crypto';
+import { logger } from '../lib/logger.js';
+import { webhookSignatureFailures } from '../lib/metrics.js';
 
 /**
  * Webhook signature verification middleware for Linear
  * 
- * Validates webhook requests using HMAC-SHA256 signature
+ * Validates webhook requests using HMAC-SHA256 signature over the exact raw
+ * request body, and rejects deliveries whose `webhookTimestamp` is outside
+ * LINEAR_WEBHOOK_MAX_AGE_MS (default 60 seconds) to prevent replays.
  * https://developers.linear.app/docs/graphql/webhooks#signature-verification
+ * 
+ * LINEAR_WEBHOOK_SECRET may hold several comma-separated secrets so a new
+ * secret can be rolled out before the old one is removed.
  */
 
+/**
+ * Capture the raw request body for signature verification
+ * 
+ * Pass as the `verify` option of express.json(). Re-serializing the parsed
+ * body would not reproduce Linear's exact bytes (whitespace, key order).
+ * 
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Buffer} buf - Raw body
+ */
+export function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
 /**
  * Middleware to verify Linear webhook signatures
  * 
+ * Stamps `req.receivedAt` (ms) first, so latency metrics include the time
+ * spent in verification and the middleware after it.
+ * 
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next function
  */
 export function verifyLinearWebhook(req, res, next) {
-    const secret = process.env.LINEAR_WEBHOOK_SECRET;
+    req.receivedAt = Date.now();
+    const secrets = getWebhookSecrets();
 
-    if (!secret) {
-        console.error('LINEAR_WEBHOOK_SECRET not configured');
+    if (secrets.length === 0) {
+        logger.error('LINEAR_WEBHOOK_SECRET not configured');
         return res.status(500).json({ error: 'Webhook secret not configured' });
     }
 
@@ -26,41 +51,82 @@ export function verifyLinearWebhook(req, res, next) {
     const signature = req.headers['linear-signature'];
 
     if (!signature) {
-        console.warn('Missing linear-signature header');
+        logger.warn('Missing linear-signature header');
+        webhookSignatureFailures.inc({ reason: 'missing' });
         return res.status(401).json({ error: 'Missing signature' });
     }
 
+    if (!req.rawBody) {
+        logger.error('Raw body not captured - is express.json({ verify: captureRawBody }) installed?');
+        return res.status(500).json({ error: 'Verification failed' });
+    }
+
     try {
-        // Compute expected signature
-        const body = JSON.stringify(req.body);
-        const hmac = crypto.createHmac('sha256', secret);
-        hmac.update(body);
-        const expectedSignature = hmac.digest('hex');
-
-        // Compare signatures (timing-safe)
-        const isValid = crypto.timingSafeEqual(
-            Buffer.from(signature),
-            Buffer.from(expectedSignature)
-        );
-
-        if (!isValid) {
-            console.warn('Invalid webhook signature');
+        if (!verifyLinearSignature(req.rawBody, signature, secrets)) {
+            logger.warn('Invalid webhook signature');
+            webhookSignatureFailures.inc({ reason: 'invalid' });
             return res.status(401).json({ error: 'Invalid signature' });
         }
 
+        // Reject stale deliveries (replay protection)
+        const maxAge = parseInt(process.env.LINEAR_WEBHOOK_MAX_AGE_MS || '60000', 10);
+        const { webhookTimestamp } = parseLinearWebhook(req.body);
+        const age = Math.abs(Date.now() - Number(webhookTimestamp));
+
+        if (!webhookTimestamp || Number.isNaN(age) || age > maxAge) {
+            logger.warn('Rejected stale webhook', { webhookTimestamp, maxAge });
+            webhookSignatureFailures.inc({ reason: 'stale' });
+            return res.status(401).json({ error: 'Stale webhook timestamp' });
+        }
+
         // Signature valid - proceed
         next();
     } catch (error) {
-        console.error('Webhook verification error:', error);
+        logger.error('Webhook verification error', { error });
         return res.status(500).json({ error: 'Verification failed' });
     }
 }
 
+/**
+ * Check a Linear signature against one or more secrets
+ * 
+ * Malformed signatures (wrong length, non-hex) are simply invalid -
+ * timingSafeEqual is only called on equal-length buffers.
+ * 
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} signature - `linear-signature` header (hex HMAC-SHA256)
+ * @param {string[]} secrets - Accepted webhook secrets
+ * @returns {boolean}
+ */
+export function verifyLinearSignature(rawBody, signature, secrets) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+        return false;
+    }
+
+    const received = Buffer.from(signature, 'hex');
+
+    // Check every secret (no early exit) so timing doesn't reveal which matched
+    return secrets.reduce((isValid, secret) => {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+        return crypto.timingSafeEqual(received, expected) || isValid;
+    }, false);
+}
+
+/**
+ * Helper: Configured webhook secrets (comma-separated for rotation)
+ */
+function getWebhookSecrets() {
+    return (process.env.LINEAR_WEBHOOK_SECRET || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean);
+}
+
 /**
  * Extract webhook event type and action from Linear payload
  * 
  * @param {Object} payload - Linear webhook payload
- * @returns {{type: string, action: string, data: Object}}
+ * @returns {{type: string, action: string, data: Object, organizationId: string, webhookId: string, webhookTimestamp: number, createdAt: string}}
  */
 export function parseLinearWebhook(payload) {
     const { type, action, data } = payload;
@@ -69,7 +135,9 @@ export function parseLinearWebhook(payload) {
         type,        // e.g., 'Issue', 'Comment'
         action,      // e.g., 'create', 'update', 'remove'
         data,        // Event-specific data
+        organizationId: payload.organizationId,
         webhookId: payload.webhookId,
+        webhookTimestamp: payload.webhookTimestamp,
         createdAt: payload.createdAt
     };
 }
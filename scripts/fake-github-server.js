@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { startFakeGitHubServer } from '../lib/github-fake.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Fake GitHub API server for local testing
+ *
+ * Run it, then start the agent with:
+ *   GITHUB_API_URL=<printed url> GITHUB_TOKEN=anything GITHUB_REPOSITORY=acme/web
+ *
+ * FAKE_GITHUB_PORT (default 4020), GITHUB_REPOSITORY (default acme/web) and
+ * GITHUB_BASE_BRANCH (default main) shape the fake repository. State is kept
+ * in memory only. See lib/github-fake.js.
+ */
+
+const server = await startFakeGitHubServer({
+    port: parseInt(process.env.FAKE_GITHUB_PORT || '4020', 10),
+    repository: process.env.GITHUB_REPOSITORY || 'acme/web',
+    baseBranch: process.env.GITHUB_BASE_BRANCH || 'main'
+});
+
+logger.info('Fake GitHub API listening', { url: server.url });
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        await server.close();
+        process.exit(0);
+    });
+}
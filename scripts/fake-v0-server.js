@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { startFakeV0Server } from '../lib/v0-fake.js';
+import { logger } from '../lib/logger.js';
+
+/**
+ * Fake V0 Platform API server for local testing
+ *
+ * Run it, then start the agent with:
+ *   V0_CLIENT_MODE=real V0_API_BASE_URL=<printed url> V0_API_KEY=anything
+ *
+ * FAKE_V0_PORT (default 4010), FAKE_V0_LATENCY_MS (default 0) and
+ * FAKE_V0_FAIL_CREATE / FAKE_V0_FAIL_MESSAGE (HTTP status) shape every
+ * response; `[fake-v0:error=500]` / `[fake-v0:latency=2000]` in a prompt
+ * affect a single call. See lib/v0-fake.js.
+ */
+
+const server = await startFakeV0Server({
+    port: parseInt(process.env.FAKE_V0_PORT || '4010', 10),
+    latencyMs: parseInt(process.env.FAKE_V0_LATENCY_MS || '0', 10),
+    errors: {
+        create: parseInt(process.env.FAKE_V0_FAIL_CREATE || '0', 10) || undefined,
+        message: parseInt(process.env.FAKE_V0_FAIL_MESSAGE || '0', 10) || undefined
+    }
+});
+
+logger.info('Fake V0 API listening', { url: server.url });
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        await server.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createWebhookReplay } from '../lib/webhook-replay.js';
+import { configureLogger } from '../lib/logger.js';
+
+/**
+ * Webhook replay harness
+ *
+ * Replays recorded agent sessions through the real server and checks their
+ * activities against the expectation files (see lib/webhook-replay.js). The
+ * recordings in test/fixtures/webhook-recordings also run with `npm test`.
+ *
+ * Usage:
+ *   node scripts/replay-webhooks.js [dir] [--update] [--labels executor:v0,ui] [--timeout ms]
+ *
+ * dir defaults to WEBHOOK_RECORD_DIR (or data/webhook-recordings).
+ * --update writes the expectation files from this run instead of checking
+ * them; --labels sets the labels of every session's issue. Exits 1 if any
+ * session fails.
+ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Results go to stdout, server logs to stderr (LOG_LEVEL=info for all of them)
+configureLogger({ stream: process.stderr, level: process.env.LOG_LEVEL || 'warn' });
+
+const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+        update: { type: 'boolean' },
+        labels: { type: 'string' },
+        timeout: { type: 'string', default: '60000' }
+    }
+});
+
+const recordingsDir = path.resolve(positionals[0] || process.env.WEBHOOK_RECORD_DIR || path.join(PROJECT_ROOT, 'data', 'webhook-recordings'));
+const replay = await createWebhookReplay({
+    recordingsDir,
+    labels: values.labels?.split(',').map(l => l.trim()).filter(Boolean),
+    timeoutMs: parseInt(values.timeout, 10)
+});
+
+if (replay.sessions.size === 0) {
+    process.stdout.write(`No AgentSessionEvent recordings in ${recordingsDir}\n`);
+    process.exit(1);
+}
+
+await replay.start();
+
+let failures = 0;
+
+for (const [sessionId, recordings] of replay.sessions) {
+    const result = await replay.replay(sessionId, { update: values.update });
+
+    if (values.update) {
+        await replay.writeExpectation(sessionId, result);
+    }
+
+    const issue = recordings[0].body.data.agentSession.issue;
+    const activityCount = result.deliveries.reduce((n, d) => n + d.activities.length, 0);
+    const summary = `${sessionId} (${issue?.identifier || 'unknown issue'}): ${recordings.length} deliveries, ${activityCount} activities` +
+        (result.firstThoughtMs !== null ? `, first thought after ${result.firstThoughtMs}ms` : '');
+
+    if (result.problems.length > 0) {
+        failures++;
+        process.stdout.write(`❌ ${summary}\n${result.problems.map(p => `   - ${p}`).join('\n')}\n`);
+    } else {
+        process.stdout.write(`✅ ${summary}${values.update ? ' (expectation updated)' : ''}\n`);
+    }
+}
+
+replay.stop();
+process.stdout.write(`\n${replay.sessions.size - failures}/${replay.sessions.size} session(s) passed\n`);
+process.exit(failures > 0 ? 1 : 0);
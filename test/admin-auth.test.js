@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { requireAdminToken } from '../middleware/admin-auth.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ level: 'error' });
+
+function run({ headers = {}, remoteAddress = '127.0.0.1' } = {}) {
+    const req = { headers, path: '/jobs', socket: { remoteAddress } };
+    const res = {
+        statusCode: 200,
+        set: vi.fn(),
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json: vi.fn()
+    };
+    const next = vi.fn();
+
+    requireAdminToken(req, res, next);
+    return { status: next.mock.calls.length ? 'next' : res.statusCode };
+}
+
+describe('requireAdminToken', () => {
+    afterEach(() => {
+        delete process.env.ADMIN_TOKEN;
+    });
+
+    it('requires the bearer token when ADMIN_TOKEN is set', () => {
+        process.env.ADMIN_TOKEN = 'admin-secret';
+
+        expect(run({ headers: { authorization: 'Bearer admin-secret' }, remoteAddress: '203.0.113.9' }).status).toBe('next');
+        expect(run({ headers: { authorization: 'Bearer wrong' } }).status).toBe(401);
+        expect(run().status).toBe(401);
+    });
+
+    it('allows only direct local requests without ADMIN_TOKEN', () => {
+        expect(run().status).toBe('next');
+        expect(run({ remoteAddress: '::1' }).status).toBe('next');
+        expect(run({ remoteAddress: '203.0.113.9' }).status).toBe(403);
+        expect(run({ headers: { 'cf-connecting-ip': '203.0.113.9' } }).status).toBe(403);
+        expect(run({ headers: { 'x-forwarded-for': '203.0.113.9' } }).status).toBe(403);
+    });
+});
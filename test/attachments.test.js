@@ -0,0 +1,144 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { collectIssueImages } from '../lib/attachments.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+function issueWith(description, attachments = []) {
+    return {
+        issue: async () => ({
+            description,
+            attachments: async () => ({ nodes: attachments })
+        })
+    };
+}
+
+function image(body = PNG, headers = {}) {
+    return new Response(body, { status: 200, headers: { 'content-type': 'image/png', ...headers } });
+}
+
+function redirect(location) {
+    return new Response(null, { status: 302, headers: { location } });
+}
+
+describe('collectIssueImages', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        delete process.env.V0_IMAGE_HOSTS;
+        delete process.env.V0_MAX_IMAGE_BYTES;
+    });
+
+    it('downloads Linear uploads with the agent token', async () => {
+        const fetch = vi.fn(async () => image());
+        vi.stubGlobal('fetch', fetch);
+
+        const result = await collectIssueImages({
+            linearClient: issueWith('![mockup](https://uploads.linear.app/a/b/mockup.png)'),
+            accessToken: 'agent-token',
+            issueId: 'iss-1'
+        });
+
+        expect(result.images).toHaveLength(1);
+        expect(result.images[0].url).toBe(`data:image/png;base64,${PNG.toString('base64')}`);
+        expect(fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer agent-token' });
+    });
+
+    it('ignores linear.app links and never sends them the token', async () => {
+        const fetch = vi.fn(async () => image());
+        vi.stubGlobal('fetch', fetch);
+
+        const result = await collectIssueImages({
+            linearClient: issueWith('![mockup](https://linear.app/acme/a.png)', [
+                { title: 'SYS-12', url: 'https://linear.app/acme/issue/SYS-12/pricing' },
+                { title: 'Spec', url: 'https://linear.app/acme/document/spec-1a2b' }
+            ]),
+            accessToken: 'agent-token',
+            issueId: 'iss-1'
+        });
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(result).toEqual({
+            images: [],
+            references: [],
+            skipped: [{ name: 'mockup', url: 'https://linear.app/acme/a.png', reason: 'host linear.app is not an allowed image host (see V0_IMAGE_HOSTS)' }]
+        });
+    });
+
+    it('never requests internal, http or unknown hosts', async () => {
+        const fetch = vi.fn(async () => image());
+        vi.stubGlobal('fetch', fetch);
+
+        const result = await collectIssueImages({
+            linearClient: issueWith([
+                '![meta](https://169.254.169.254/latest/meta-data/x.png)',
+                '![local](http://localhost:3324/jobs.png)',
+                '![http](http://i.imgur.com/a.png)',
+                '![other](https://example.com/a.png)'
+            ].join('\n')),
+            accessToken: 'agent-token',
+            issueId: 'iss-1'
+        });
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(result.images).toEqual([]);
+        expect(result.skipped.map(item => item.reason)).toEqual([
+            'host 169.254.169.254 is not an allowed image host (see V0_IMAGE_HOSTS)',
+            'http URLs are not downloaded (https only)',
+            'http URLs are not downloaded (https only)',
+            'host example.com is not an allowed image host (see V0_IMAGE_HOSTS)'
+        ]);
+    });
+
+    it('checks every redirect hop and keeps the token on uploads.linear.app', async () => {
+        const fetch = vi.fn(async (url) => {
+            if (url === 'https://uploads.linear.app/a/one.png') return redirect('https://i.imgur.com/one.png');
+            if (url === 'https://i.imgur.com/one.png') return image();
+            if (url === 'https://i.imgur.com/two.png') return redirect('http://169.254.169.254/latest/meta-data/');
+            throw new Error(`unexpected fetch ${url}`);
+        });
+        vi.stubGlobal('fetch', fetch);
+
+        const result = await collectIssueImages({
+            linearClient: issueWith('![one](https://uploads.linear.app/a/one.png) ![two](https://i.imgur.com/two.png)'),
+            accessToken: 'agent-token',
+            issueId: 'iss-1'
+        });
+
+        expect(result.images.map(item => item.name)).toEqual(['one']);
+        expect(fetch.mock.calls.find(([url]) => url === 'https://i.imgur.com/one.png')[1].headers).toEqual({});
+        expect(result.skipped).toEqual([
+            { name: 'two', url: 'https://i.imgur.com/two.png', reason: 'http URLs are not downloaded (https only)' }
+        ]);
+    });
+
+    it('allows extra hosts from V0_IMAGE_HOSTS', async () => {
+        process.env.V0_IMAGE_HOSTS = '*.cdn.example.com';
+        vi.stubGlobal('fetch', vi.fn(async () => image()));
+
+        const result = await collectIssueImages({
+            linearClient: issueWith('![a](https://img.cdn.example.com/a.png)'),
+            issueId: 'iss-1'
+        });
+
+        expect(result.images).toHaveLength(1);
+    });
+
+    it('stops reading bodies without content-length once they pass the limit', async () => {
+        process.env.V0_MAX_IMAGE_BYTES = '1048576';
+        let pulled = 0;
+        const body = new ReadableStream({
+            pull(controller) {
+                pulled++;
+                controller.enqueue(new Uint8Array(262144));
+            }
+        });
+        vi.stubGlobal('fetch', vi.fn(async () => image(body)));
+
+        const result = await collectIssueImages({
+            linearClient: issueWith('![big](https://i.imgur.com/big.png)'),
+            issueId: 'iss-1'
+        });
+
+        expect(result.skipped[0].reason).toBe('larger than the 1.0 MB limit');
+        expect(pulled).toBeLessThan(10);
+    });
+});
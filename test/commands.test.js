@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { parseAgentCommand } from '../lib/commands.js';
+
+describe('parseAgentCommand', () => {
+    it('runs prefixed commands', () => {
+        expect(parseAgentCommand('@v0 complete')).toEqual({ name: 'complete', args: '', explicit: true });
+        expect(parseAgentCommand('/demo')).toEqual({ name: 'demo', args: '', explicit: true });
+        expect(parseAgentCommand('@v0 refine make it blue')).toEqual({ name: 'refine', args: 'make it blue', explicit: true });
+    });
+
+    it('runs a message that is only a command name', () => {
+        expect(parseAgentCommand('complete')).toEqual({ name: 'complete', args: '', explicit: true });
+        expect(parseAgentCommand('Help')).toEqual({ name: 'help', args: '', explicit: true });
+    });
+
+    it('treats feedback starting with a command word as refinement', () => {
+        expect(parseAgentCommand('Complete redesign with darker colors')).toEqual({
+            name: 'refine',
+            args: 'Complete redesign with darker colors',
+            explicit: false
+        });
+    });
+
+    it('treats single words as refinement', () => {
+        expect(parseAgentCommand('darker')).toEqual({ name: 'refine', args: 'darker', explicit: false });
+        expect(parseAgentCommand('@v0 Mobile')).toEqual({ name: 'refine', args: 'Mobile', explicit: false });
+    });
+
+    it('rejects unknown slash commands', () => {
+        expect(parseAgentCommand('/deploy')).toEqual({ name: 'unknown', args: 'deploy', explicit: true });
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+
+process.env.TEAM_CONFIG_PATH = new URL('./fixtures/teams.json', import.meta.url).pathname;
+
+const { assessPromptContext, formatClarifications, formatElicitationQuestions } = await import('../lib/elicitation.js');
+
+const missingIds = (params) => assessPromptContext(params).missing.map(essential => essential.id);
+
+describe('assessPromptContext', () => {
+    describe('keyword matching', () => {
+        it('covers an essential when any keyword appears, case-insensitively', () => {
+            expect(missingIds({ promptContext: 'Show a LIST OF plans from the API', scope: 'component' })).toEqual(['states']);
+        });
+
+        it('matches keywords at a word start only', () => {
+            expect(missingIds({ promptContext: 'Show a spinner while loading', scope: 'component' })).toEqual(['data']);
+            expect(missingIds({ promptContext: 'Use the unloaded terror variant', scope: 'component' })).toEqual(['data', 'states']);
+        });
+
+        it('counts label names as context', () => {
+            expect(missingIds({ promptContext: 'Pricing card', labels: ['empty-state', 'api'], scope: 'component' })).toEqual([]);
+        });
+
+        it('matches multi-word keywords', () => {
+            expect(missingIds({ promptContext: 'A list of plans with empty handling', scope: 'component' })).toEqual([]);
+        });
+
+        it('handles a missing prompt context', () => {
+            expect(missingIds({ promptContext: undefined, scope: 'component' })).toEqual(['data', 'states']);
+        });
+    });
+
+    describe('scope', () => {
+        it('only asks for the target of page and multi-page work', () => {
+            const promptContext = 'Plans from the API with a loading state';
+
+            expect(missingIds({ promptContext, scope: 'component' })).toEqual([]);
+            expect(missingIds({ promptContext, scope: 'page' })).toEqual(['target']);
+            expect(missingIds({ promptContext, scope: 'multi-page' })).toEqual(['target']);
+            expect(missingIds({ promptContext: `${promptContext} on the /pricing route`, scope: 'page' })).toEqual([]);
+        });
+
+        it('skips scoped essentials when no scope is known', () => {
+            expect(missingIds({ promptContext: 'Plans' })).toEqual(['data', 'states']);
+        });
+    });
+
+    describe('maxMissing', () => {
+        it('is sufficient while no more than maxMissing essentials are missing', () => {
+            expect(assessPromptContext({ promptContext: 'Plans from the API', scope: 'component' })).toEqual({
+                sufficient: true,
+                missing: [{ id: 'states', question: 'Which states should it handle?' }]
+            });
+            expect(assessPromptContext({ promptContext: 'Plans from the API', scope: 'page' })).toMatchObject({ sufficient: false });
+        });
+    });
+
+    describe('team and project overrides', () => {
+        it('adds team essentials and replaces maxMissing', () => {
+            expect(assessPromptContext({ promptContext: 'Plans from the API, with an empty state', teamKey: 'SYS', scope: 'component' })).toEqual({
+                sufficient: false,
+                missing: [{ id: 'design', question: 'Is there a design to follow?' }]
+            });
+            expect(assessPromptContext({ promptContext: 'Plans from the API, empty state, see Figma', teamKey: 'SYS', scope: 'component' }))
+                .toEqual({ sufficient: true, missing: [] });
+        });
+
+        it('applies project overrides on top of the team', () => {
+            const result = assessPromptContext({ promptContext: 'Plans', teamKey: 'SYS', project: { name: 'Marketing Site' }, scope: 'page' });
+
+            expect(result.missing.map(essential => essential.id)).toEqual(['target', 'data', 'states', 'design']);
+            expect(result.sufficient).toBe(false);
+            expect(assessPromptContext({ promptContext: 'Plans', project: { name: 'Marketing Site' }, scope: 'page' }).sufficient).toBe(true);
+        });
+
+        it('skips the check when the team disables it', () => {
+            expect(assessPromptContext({ promptContext: 'Plans', teamKey: 'VUE', scope: 'page' })).toEqual({ sufficient: true, missing: [] });
+        });
+
+        it('uses the defaults for unknown teams', () => {
+            expect(missingIds({ promptContext: 'Plans', teamKey: 'NOPE', scope: 'component' })).toEqual(['data', 'states']);
+        });
+    });
+});
+
+describe('formatElicitationQuestions', () => {
+    it('numbers the questions', () => {
+        expect(formatElicitationQuestions([{ question: 'Where?' }, { question: 'What?' }]))
+            .toContain('\n\n1. Where?\n2. What?\n\nReply here');
+    });
+});
+
+describe('formatClarifications', () => {
+    it('lists the questions and the trimmed answers', () => {
+        expect(formatClarifications({ questions: [{ question: 'Where?' }], answers: '  On /pricing\n' }))
+            .toBe('## Clarifications\nQuestions asked:\n- Where?\n\nAnswers from the requester:\nOn /pricing');
+    });
+
+    it('is empty until the requester answers', () => {
+        expect(formatClarifications(undefined)).toBe('');
+        expect(formatClarifications({ questions: [{ question: 'Where?' }], answers: null })).toBe('');
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+
+process.env.TEAM_CONFIG_PATH = new URL('./fixtures/teams.json', import.meta.url).pathname;
+
+const { checkIssueEligibility } = await import('../lib/eligibility.js');
+
+const issue = (overrides = {}) => ({
+    id: 'iss-1',
+    identifier: 'SYS-1',
+    labels: ['executor:v0', 'ui', 'complexity:4'],
+    team: { id: 'team-1', key: 'SYS', name: 'Systems' },
+    project: null,
+    ...overrides
+});
+
+describe('checkIssueEligibility', () => {
+    it('applies the team rules', () => {
+        const result = checkIssueEligibility(issue());
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons).toEqual(["Complexity 4 is above this team's V0 limit of 3."]);
+    });
+
+    it('applies project overrides on top of the team rules', () => {
+        const result = checkIssueEligibility(issue({ project: { id: 'proj-1', name: 'Marketing Site' } }));
+
+        expect(result).toMatchObject({ eligible: true, complexity: 4 });
+    });
+});
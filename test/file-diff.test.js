@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { diffIterationFiles, formatDiffPatch, formatDiffSummary } from '../lib/file-diff.js';
+
+const PREVIOUS = [
+    { path: 'components/card.tsx', content: 'export function Card() {\n  return <div className="p-4" />\n}\n' },
+    { path: 'components/legacy.tsx', content: 'export const Legacy = () => null\nexport default Legacy\n' },
+    { path: 'app/page.tsx', content: 'export default function Page() {}\n' }
+];
+
+const NEXT = [
+    { path: 'components/card.tsx', content: 'export function Card() {\n  return <div className="p-6 bg-zinc-900" />\n}\n' },
+    { path: 'components/badge.tsx', content: 'export const Badge = () => null\n' },
+    { path: 'app/page.tsx', content: 'export default function Page() {}\n' }
+];
+
+describe('diffIterationFiles', () => {
+    it('sorts files into changed, added, removed and unchanged with line counts', () => {
+        const diff = diffIterationFiles(PREVIOUS, NEXT);
+
+        expect(diff.changed).toMatchObject([{ path: 'components/card.tsx', additions: 1, deletions: 1 }]);
+        expect(diff.added).toMatchObject([{ path: 'components/badge.tsx', additions: 1, deletions: 0 }]);
+        expect(diff.removed).toMatchObject([{ path: 'components/legacy.tsx', additions: 0, deletions: 2 }]);
+        expect(diff.unchanged).toBe(1);
+    });
+
+    it('builds unified diffs against /dev/null for added and removed files', () => {
+        const diff = diffIterationFiles(PREVIOUS, NEXT);
+
+        expect(diff.changed[0].patch).toContain('--- a/components/card.tsx\n+++ b/components/card.tsx\n@@');
+        expect(diff.changed[0].patch).toContain('-  return <div className="p-4" />\n+  return <div className="p-6 bg-zinc-900" />');
+        expect(diff.added[0].patch).toMatch(/^--- \/dev\/null\n\+\+\+ b\/components\/badge\.tsx/);
+        expect(diff.removed[0].patch).toMatch(/^--- a\/components\/legacy\.tsx\n\+\+\+ \/dev\/null/);
+        expect(diff.patch.indexOf('b/components/card.tsx')).toBeLessThan(diff.patch.indexOf('b/components/badge.tsx'));
+    });
+
+    it('treats every file as added when there is no previous iteration', () => {
+        const diff = diffIterationFiles(undefined, NEXT);
+
+        expect(diff.added.map(entry => entry.path)).toEqual(['app/page.tsx', 'components/badge.tsx', 'components/card.tsx']);
+        expect(diff).toMatchObject({ changed: [], removed: [], unchanged: 0 });
+        expect(diffIterationFiles([], NEXT).added).toHaveLength(3);
+    });
+
+    it('reports nothing for identical iterations', () => {
+        expect(diffIterationFiles(NEXT, NEXT)).toEqual({ added: [], removed: [], changed: [], unchanged: 3, patch: '' });
+    });
+
+    it('treats missing content as an empty file', () => {
+        const diff = diffIterationFiles([{ path: 'a.ts' }], [{ path: 'a.ts', content: '' }]);
+
+        expect(diff.unchanged).toBe(1);
+    });
+});
+
+describe('formatDiffSummary', () => {
+    it('lists changed, added and removed files with totals', () => {
+        expect(formatDiffSummary(diffIterationFiles(PREVIOUS, NEXT), 2)).toBe([
+            '**Changes in iteration 2:** 1 changed, 1 added, 1 removed (+2 -3 lines), 1 unchanged',
+            '',
+            '- ✏️ `components/card.tsx` (+1 -1)',
+            '- ➕ `components/badge.tsx` (+1)',
+            '- ➖ `components/legacy.tsx` (-2)'
+        ].join('\n'));
+    });
+
+    it('leaves out the unchanged count when every file changed', () => {
+        expect(formatDiffSummary(diffIterationFiles([], [NEXT[1]]), 1))
+            .toBe('**Changes in iteration 1:** 0 changed, 1 added, 0 removed (+1 -0 lines)\n\n- ➕ `components/badge.tsx` (+1)');
+    });
+
+    it('says so when V0 returned the same files', () => {
+        expect(formatDiffSummary(diffIterationFiles(NEXT, NEXT), 3)).toBe('No file changes in iteration 3 - V0 returned the same files.');
+    });
+});
+
+describe('formatDiffPatch', () => {
+    it('wraps the patch in a diff block', () => {
+        const diff = diffIterationFiles(PREVIOUS, NEXT);
+
+        expect(formatDiffPatch(diff)).toBe(`\`\`\`diff\n${diff.patch}\n\`\`\``);
+        expect(formatDiffPatch(diffIterationFiles(NEXT, NEXT))).toBe('No changes');
+    });
+
+    it('truncates very large patches', () => {
+        const output = formatDiffPatch({ patch: 'x'.repeat(60010) });
+
+        expect(output).toContain('\n... diff truncated (10 more characters)\n```');
+        expect(output.length).toBeLessThan(60100);
+    });
+});
@@ -0,0 +1,99 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createDraftPullRequest } from '../lib/github.js';
+import { startFakeGitHubServer } from '../lib/github-fake.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ stream: { write() {} } });
+
+const ISSUE = { identifier: 'SYS-353', title: 'Pricing card', url: 'https://linear.app/acme/issue/SYS-353' };
+const BASE_FILES = {
+    'README.md': '# acme/web\n',
+    'apps/web/src/app/page.tsx': 'export default function Home() { return null }\n'
+};
+
+const card = (revision) => ({ path: 'apps/web/src/components/pricing-card.client.tsx', content: `"use client"\n// revision ${revision}\n` });
+const page = { path: 'apps/web/src/app/page.tsx', content: 'import { PricingCard } from "@/components/pricing-card.client"\n' };
+const badge = { path: 'apps/web/src/components/plan-badge.tsx', content: 'export function PlanBadge() { return null }\n' };
+
+describe('createDraftPullRequest', () => {
+    let github;
+
+    beforeEach(async () => {
+        github = await startFakeGitHubServer({ repository: 'acme/web', files: BASE_FILES });
+
+        process.env.GITHUB_TOKEN = 'test-token';
+        process.env.GITHUB_REPOSITORY = 'acme/web';
+        // Trailing slash on purpose - the override is normalized
+        process.env.GITHUB_API_URL = `${github.url}/`;
+    });
+
+    afterEach(async () => {
+        await github.close();
+        delete process.env.GITHUB_TOKEN;
+        delete process.env.GITHUB_REPOSITORY;
+        delete process.env.GITHUB_API_URL;
+        delete process.env.GITHUB_BASE_BRANCH;
+    });
+
+    it('commits the files to a new branch and opens a draft PR through GITHUB_API_URL', async () => {
+        const result = await createDraftPullRequest({ issue: ISSUE, chatId: 'chat-1', demoUrl: 'https://v0.dev/demo/1', files: [card(1), page] });
+
+        expect(result).toMatchObject({ number: 1, branch: 'v0/sys-353', created: true, url: 'https://github.com/acme/web/pull/1' });
+        expect(github.requests.map(({ method, path }) => `${method} ${path}`)).toEqual([
+            'GET /repos/acme/web/git/ref/heads/v0/sys-353',
+            'GET /repos/acme/web/git/ref/heads/main',
+            `GET /repos/acme/web/git/commits/${github.commitsOn('main')[0].sha}`,
+            'POST /repos/acme/web/git/trees',
+            'POST /repos/acme/web/git/commits',
+            'POST /repos/acme/web/git/refs',
+            'GET /repos/acme/web/pulls?state=open&head=acme%3Av0%2Fsys-353',
+            'POST /repos/acme/web/pulls'
+        ]);
+
+        expect(github.readBranch('v0/sys-353')).toEqual({ ...BASE_FILES, [card(1).path]: card(1).content, [page.path]: page.content });
+        expect(github.commitsOn('v0/sys-353')[0]).toMatchObject({
+            sha: result.commitSha,
+            message: 'SYS-353: Add V0-generated UI\n\nV0 chat: chat-1\nDemo: https://v0.dev/demo/1',
+            parents: [github.commitsOn('main')[0].sha]
+        });
+        expect(github.pulls[0]).toMatchObject({ draft: true, head: 'v0/sys-353', base: 'main', title: 'SYS-353: Pricing card' });
+        expect(github.pulls[0].body).toContain('`apps/web/src/components/pricing-card.client.tsx`');
+    });
+
+    it('adds a commit to the branch and reuses the open PR on refinement', async () => {
+        const first = await createDraftPullRequest({ issue: ISSUE, chatId: 'chat-1', demoUrl: 'https://v0.dev/demo/1', files: [card(1)] });
+        const second = await createDraftPullRequest({
+            issue: ISSUE,
+            chatId: 'chat-1',
+            demoUrl: 'https://v0.dev/demo/2',
+            files: [card(2)],
+            previousPaths: [card(1).path]
+        });
+
+        expect(second).toMatchObject({ number: first.number, url: first.url, created: false });
+        expect(github.pulls).toHaveLength(1);
+        expect(github.commitsOn('v0/sys-353').map(commit => commit.sha).slice(0, 2)).toEqual([second.commitSha, first.commitSha]);
+        expect(github.commitsOn('v0/sys-353')[0].message).toMatch(/^SYS-353: Update V0-generated UI/);
+        expect(github.readBranch('v0/sys-353')[card(2).path]).toBe(card(2).content);
+    });
+
+    it('removes files a later iteration dropped and restores base files it had replaced', async () => {
+        await createDraftPullRequest({ issue: ISSUE, chatId: 'chat-1', demoUrl: 'https://v0.dev/demo/1', files: [card(1), page, badge] });
+        await createDraftPullRequest({
+            issue: ISSUE,
+            chatId: 'chat-1',
+            demoUrl: 'https://v0.dev/demo/2',
+            files: [card(2)],
+            previousPaths: [card(1).path, page.path, badge.path]
+        });
+
+        expect(github.readBranch('v0/sys-353')).toEqual({ ...BASE_FILES, [card(2).path]: card(2).content });
+    });
+
+    it('fails with a clear message when the base branch is missing', async () => {
+        process.env.GITHUB_BASE_BRANCH = 'develop';
+
+        await expect(createDraftPullRequest({ issue: ISSUE, chatId: 'chat-1', demoUrl: 'https://v0.dev/demo/1', files: [card(1)] }))
+            .rejects.toThrow('Failed to create draft PR: Base branch "develop" not found');
+    });
+});
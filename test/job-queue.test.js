@@ -0,0 +1,202 @@
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createJobQueue } from '../lib/job-queue.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ stream: { write() {} } });
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createJobQueue', () => {
+    let directory;
+    let queues;
+
+    const makeQueue = (options = {}) => {
+        const queue = createJobQueue({ directory, backoffMs: 10, ...options });
+        queues.push(queue);
+        return queue;
+    };
+
+    beforeEach(async () => {
+        directory = await mkdtemp(path.join(os.tmpdir(), 'job-queue-test-'));
+        queues = [];
+    });
+
+    afterEach(async () => {
+        queues.forEach(queue => queue.stop());
+        // A finished job's last persist() can still be writing
+        await tick();
+        await rm(directory, { recursive: true, force: true, maxRetries: 3 });
+    });
+
+    it('runs one job at a time per session, in queue order', async () => {
+        const queue = makeQueue({ concurrency: 3 });
+        const events = [];
+
+        queue.registerHandler('work', {
+            run: async ({ name }) => {
+                events.push(`start ${name}`);
+                await tick();
+                events.push(`end ${name}`);
+            }
+        });
+        await queue.start();
+
+        await queue.enqueue('work', { name: 'a1' }, { sessionId: 'a' });
+        await queue.enqueue('work', { name: 'a2' }, { sessionId: 'a' });
+        await queue.enqueue('work', { name: 'b1' }, { sessionId: 'b' });
+        await queue.waitForIdle({ timeoutMs: 2000 });
+
+        expect(events.indexOf('end a1')).toBeLessThan(events.indexOf('start a2'));
+        expect(events.indexOf('start b1')).toBeLessThan(events.indexOf('end a1'));
+    });
+
+    it('holds a session\'s later jobs while an earlier one waits to retry', async () => {
+        const queue = makeQueue({ concurrency: 2, backoffMs: 50 });
+        const runs = [];
+
+        queue.registerHandler('work', {
+            run: async ({ name }, job) => {
+                runs.push(`${name}#${job.attempts}`);
+                if (name === 'first' && job.attempts === 1) {
+                    throw new Error('V0 timed out');
+                }
+            }
+        });
+        await queue.start();
+
+        await queue.enqueue('work', { name: 'first' }, { sessionId: 's' });
+        await queue.enqueue('work', { name: 'second' }, { sessionId: 's' });
+        await queue.waitForIdle({ timeoutMs: 2000 });
+
+        expect(runs).toEqual(['first#1', 'first#2', 'second#1']);
+    });
+
+    it('runs a session\'s next job once the earlier one is canceled', async () => {
+        const queue = makeQueue({ concurrency: 1 });
+        const runs = [];
+
+        queue.registerHandler('work', { run: async ({ name }) => { runs.push(name); } });
+
+        const first = await queue.enqueue('work', { name: 'first' }, { sessionId: 's' });
+        await queue.enqueue('work', { name: 'second' }, { sessionId: 's' });
+        await queue.cancelJob(first.id);
+        await queue.start();
+        await queue.waitForIdle({ timeoutMs: 2000 });
+
+        expect(runs).toEqual(['second']);
+    });
+
+    it('retries with exponential backoff, then calls onFailed once', async () => {
+        const queue = makeQueue({ maxAttempts: 3, backoffMs: 40 });
+        const startedAt = [];
+        const onFailed = vi.fn();
+
+        queue.registerHandler('work', {
+            run: async () => {
+                startedAt.push(Date.now());
+                throw new Error('V0 returned 503');
+            },
+            onFailed
+        });
+        await queue.start();
+
+        const job = await queue.enqueue('work', { name: 'flaky' });
+        await queue.waitForIdle({ timeoutMs: 2000 });
+
+        expect(startedAt).toHaveLength(3);
+        expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(40 - 5);
+        expect(startedAt[2] - startedAt[1]).toBeGreaterThanOrEqual(80 - 5);
+        expect(queue.getJob(job.id)).toMatchObject({ state: 'failed', attempts: 3, lastError: 'V0 returned 503' });
+        expect(onFailed).toHaveBeenCalledTimes(1);
+        expect(onFailed).toHaveBeenCalledWith({ name: 'flaky' }, expect.objectContaining({ message: 'V0 returned 503' }), queue.getJob(job.id));
+    });
+
+    it('aborts a running job\'s signal on cancel without retrying it', async () => {
+        const queue = makeQueue({ maxAttempts: 3 });
+        const onFailed = vi.fn();
+        let runs = 0;
+
+        queue.registerHandler('work', {
+            run: (payload, job, { signal }) => new Promise((resolve, reject) => {
+                runs++;
+                signal.addEventListener('abort', () => reject(new Error('Aborted')));
+            }),
+            onFailed
+        });
+        await queue.start();
+
+        const job = await queue.enqueue('work', {});
+        await tick();
+        expect(queue.getJob(job.id).state).toBe('running');
+
+        await expect(queue.cancelJob(job.id)).resolves.toBe(true);
+        await queue.waitForIdle({ timeoutMs: 2000 });
+
+        expect(queue.getJob(job.id)).toMatchObject({ state: 'canceled', attempts: 1 });
+        expect(runs).toBe(1);
+        expect(onFailed).not.toHaveBeenCalled();
+        await expect(queue.cancelJob(job.id)).resolves.toBe(false);
+    });
+
+    it('waits for one session\'s jobs and times out while they are still active', async () => {
+        const queue = makeQueue({ concurrency: 2 });
+        let release;
+        const blocked = new Promise(resolve => { release = resolve; });
+
+        queue.registerHandler('work', { run: async ({ name }) => name === 'slow' ? blocked : tick() });
+        await queue.start();
+
+        await queue.enqueue('work', { name: 'slow' }, { sessionId: 'a' });
+        const fast = await queue.enqueue('work', { name: 'fast' }, { sessionId: 'b' });
+
+        await queue.waitForIdle({ sessionId: 'b', timeoutMs: 2000 });
+        expect(queue.getJob(fast.id).state).toBe('completed');
+
+        await expect(queue.waitForIdle({ timeoutMs: 100 })).rejects.toThrow('Jobs still active after 100ms');
+
+        release();
+        await queue.waitForIdle({ timeoutMs: 2000 });
+        expect(queue.getStats()).toMatchObject({ running: 0, queued: 0, completed: 2 });
+    });
+
+    it('resumes persisted jobs, including ones left running by a crash', async () => {
+        const crashed = makeQueue();
+        const queued = await crashed.enqueue('work', { name: 'queued' });
+        const interrupted = await crashed.enqueue('work', { name: 'interrupted' });
+        crashed.stop();
+
+        const file = path.join(directory, `${interrupted.id}.json`);
+        await writeFile(file, JSON.stringify({ ...interrupted, state: 'running', attempts: 1 }));
+
+        const restarted = makeQueue();
+        const runs = [];
+        restarted.registerHandler('work', { run: async ({ name }, job) => { runs.push(`${name}#${job.attempts}`); } });
+        await restarted.start();
+        await restarted.waitForIdle({ timeoutMs: 2000 });
+
+        expect(runs.sort()).toEqual(['interrupted#2', 'queued#1']);
+        expect(restarted.getJob(queued.id).state).toBe('completed');
+        expect(JSON.parse(await readFile(file, 'utf8'))).toMatchObject({ state: 'completed', attempts: 2 });
+    });
+
+    it('keeps recently finished jobs on reload without running them again', async () => {
+        const first = makeQueue();
+        const runs = [];
+        first.registerHandler('work', { run: async () => { runs.push('run'); } });
+        await first.start();
+        const job = await first.enqueue('work', {});
+        await first.waitForIdle({ timeoutMs: 2000 });
+        first.stop();
+
+        const second = makeQueue();
+        second.registerHandler('work', { run: async () => { runs.push('run'); } });
+        await second.start();
+        await tick();
+
+        expect(runs).toEqual(['run']);
+        expect(second.getJob(job.id).state).toBe('completed');
+    });
+});
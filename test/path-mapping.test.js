@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import { formatPathMapping, mapV0Files } from '../lib/path-mapping.js';
+import { validateV0Files } from '../lib/file-validation.js';
+import { getTeamConfig } from '../lib/team-config.js';
+
+const RULES = {
+    drop: ['app/layout.tsx', '**/globals.css', 'components/ui/**', 'tailwind.config.*', 'next.config.*', 'package.json'],
+    relocate: [
+        { from: 'components/', to: 'apps/web/src/components/' },
+        { from: 'app/', to: 'apps/web/src/app/' }
+    ],
+    fileNameCase: 'kebab',
+    clientSuffix: true,
+    importAlias: { prefix: '@/', root: 'apps/web/src/' }
+};
+
+// What V0 returns for a typical component request: the component, a page
+// using it, and the standalone Next.js project around them
+const V0_FILES = [
+    { path: 'package.json', content: '{ "name": "my-v0-project", "dependencies": { "next": "14.2.0" } }' },
+    { path: 'next.config.mjs', content: 'const nextConfig = {};\nexport default nextConfig;\n' },
+    { path: 'tailwind.config.ts', content: 'import type { Config } from "tailwindcss";\nexport default { content: [] } satisfies Config;\n' },
+    { path: 'app/globals.css', content: '@tailwind base;\n@tailwind components;\n' },
+    { path: 'app/layout.tsx', content: 'import "./globals.css";\nexport default function RootLayout({ children }) {\n  return <html><body>{children}</body></html>;\n}\n' },
+    { path: 'app/page.tsx', content: 'import { PricingCard } from "@/components/PricingCard";\nexport default function Page() {\n  return <PricingCard />;\n}\n' },
+    { path: 'components/PricingCard.tsx', content: '"use client";\nimport { useState } from "react";\nimport { Button } from "@/components/ui/button";\nimport { formatPrice } from "./price_utils";\n\nexport function PricingCard() {\n  const [yearly, setYearly] = useState(false);\n  return <Button onClick={() => setYearly(!yearly)}>{formatPrice(10, yearly)}</Button>;\n}\n' },
+    { path: 'components/price_utils.ts', content: 'export const formatPrice = (amount: number, yearly: boolean) => `$${yearly ? amount * 10 : amount}`;\n' },
+    { path: 'components/ui/button.tsx', content: 'export function Button(props) {\n  return <button {...props} />;\n}\n' }
+];
+
+describe('mapV0Files', () => {
+    it('drops scaffold files and relocates the rest', () => {
+        const result = mapV0Files(V0_FILES, RULES);
+
+        expect(result.dropped).toEqual([
+            'package.json',
+            'next.config.mjs',
+            'tailwind.config.ts',
+            'app/globals.css',
+            'app/layout.tsx',
+            'components/ui/button.tsx'
+        ]);
+        expect(result.files.map(file => [file.originalPath, file.path])).toEqual([
+            ['app/page.tsx', 'apps/web/src/app/page.tsx'],
+            ['components/PricingCard.tsx', 'apps/web/src/components/pricing-card.client.tsx'],
+            ['components/price_utils.ts', 'apps/web/src/components/price-utils.ts']
+        ]);
+    });
+
+    it('rewrites imports of moved files, leaving packages and dropped files alone', () => {
+        const files = mapV0Files(V0_FILES, RULES).files;
+        const page = files.find(file => file.originalPath === 'app/page.tsx');
+        const card = files.find(file => file.originalPath === 'components/PricingCard.tsx');
+
+        expect(page.content).toContain('from "@/components/pricing-card.client"');
+        expect(card.content).toContain('from "@/components/price-utils"');
+        expect(card.content).toContain('from "react"');
+        expect(card.content).toContain('from "@/components/ui/button"');
+    });
+
+    it('writes relative specifiers outside the alias root', () => {
+        const files = mapV0Files([
+            { path: 'lib/a.ts', content: 'import { b } from "./b";\nexport const a = b;\n' },
+            { path: 'lib/b.ts', content: 'export const b = 1;\n' }
+        ], { relocate: [{ from: 'lib/', to: 'packages/shared/' }], importAlias: { prefix: '@/', root: 'apps/web/src/' } }).files;
+
+        expect(files.map(file => file.path)).toEqual(['packages/shared/a.ts', 'packages/shared/b.ts']);
+        expect(files[0].content).toContain('from "./b"');
+    });
+
+    it('keeps route file names and files without "use client"', () => {
+        const files = mapV0Files([
+            { path: 'app/settings/page.tsx', content: '"use client";\nexport default function Page() { return null; }\n' },
+            { path: 'components/StatsCard.tsx', content: 'export function StatsCard() { return null; }\n' }
+        ], RULES).files;
+
+        expect(files.map(file => file.path)).toEqual([
+            'apps/web/src/app/settings/page.tsx',
+            'apps/web/src/components/stats-card.tsx'
+        ]);
+    });
+
+    it('first matching relocation wins and paths are normalized', () => {
+        const files = mapV0Files([{ path: './components/forms/Field.tsx', content: '' }], {
+            relocate: [
+                { from: 'components/forms/', to: 'src/forms/' },
+                { from: 'components/', to: 'src/components/' }
+            ]
+        }).files;
+
+        expect(files[0]).toMatchObject({ path: 'src/forms/Field.tsx', originalPath: 'components/forms/Field.tsx' });
+    });
+
+    it('leaves unparseable files unchanged', () => {
+        const content = 'import { x } from "./y";\nexport const = ;\n';
+        const files = mapV0Files([{ path: 'components/Broken.ts', content }], RULES).files;
+
+        expect(files[0].content).toBe(content);
+    });
+
+    it('changes nothing without rules', () => {
+        const result = mapV0Files(V0_FILES.slice(0, 2));
+
+        expect(result.files.map(file => file.path)).toEqual(['package.json', 'next.config.mjs']);
+        expect(result).toMatchObject({ dropped: [], moved: [] });
+    });
+
+    it('maps a typical V0 file set to files that pass the default validation', () => {
+        const config = getTeamConfig();
+        const mapping = mapV0Files(V0_FILES, config.pathMapping);
+        const result = validateV0Files(mapping.files);
+
+        expect(mapping.files.map(file => file.path)).toEqual([
+            'apps/web/src/app/page.tsx',
+            'apps/web/src/components/pricing-card.client.tsx',
+            'apps/web/src/components/price-utils.ts'
+        ]);
+        expect(result.errors).toEqual([]);
+    });
+});
+
+describe('formatPathMapping', () => {
+    it('lists moved, then dropped files', () => {
+        expect(formatPathMapping({
+            moved: [{ from: 'components/PricingCard.tsx', to: 'apps/web/src/components/pricing-card.client.tsx' }],
+            dropped: ['package.json']
+        })).toBe('components/PricingCard.tsx → apps/web/src/components/pricing-card.client.tsx\npackage.json (dropped)');
+    });
+
+    it('says so when nothing changed', () => {
+        expect(formatPathMapping({ moved: [], dropped: [] })).toBe('No path changes');
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+
+process.env.TEAM_CONFIG_PATH = new URL('./fixtures/teams.json', import.meta.url).pathname;
+
+const { composeV0SessionPrompt, formatIssueForV0Prompt, getPromptProfile } = await import('../lib/prompts.js');
+
+const PROMPT_CONTEXT = `<issue identifier="SYS-1">
+  <title>Pricing card</title>
+  <description>Pricing card for the settings page: plan name, price and an upgrade button. Show loading and empty states.</description>
+</issue>`;
+
+describe('composeV0SessionPrompt', () => {
+    it('renders the default (Next.js + Tailwind) profile', () => {
+        const { prompt, context } = composeV0SessionPrompt({
+            promptContext: PROMPT_CONTEXT,
+            labels: ['executor:v0', 'ui', 'dark-mode', 'a11y'],
+            teamKey: 'SYS',
+            eligibility: { scope: 'component', instructions: 'Build a single component.' },
+            attachments: {
+                images: [{ name: 'mockup.png' }],
+                references: [{ title: 'Pricing', url: 'https://www.figma.com/file/abc/Pricing' }]
+            },
+            clarifications: '## Clarifications\n- Target page: settings'
+        });
+
+        expect(prompt).toMatchSnapshot();
+        expect(context).toMatchSnapshot();
+    });
+
+    it.each(['WEB', 'VUE'])('includes the %s team profile guidelines', (teamKey) => {
+        const { prompt } = composeV0SessionPrompt({
+            promptContext: PROMPT_CONTEXT,
+            labels: ['responsive'],
+            teamKey
+        });
+
+        expect(prompt).toContain('## Implementation Guidelines');
+        expect(prompt).toMatchSnapshot();
+    });
+
+    it('uses the project\'s profile over the team\'s', () => {
+        const { context } = composeV0SessionPrompt({ promptContext: PROMPT_CONTEXT, teamKey: 'WEB', project: { name: 'Docs Portal' } });
+
+        expect(context.framework).toBe('vue');
+    });
+
+    it('handles a session without promptContext', () => {
+        const { prompt } = composeV0SessionPrompt({ teamKey: 'WEB' });
+
+        expect(prompt).toMatchSnapshot();
+    });
+});
+
+describe('formatIssueForV0Prompt', () => {
+    it('renders a bare issue', () => {
+        const prompt = formatIssueForV0Prompt({
+            title: 'Pricing card',
+            description: 'Plan name, price and an upgrade button.',
+            labels: [{ name: 'responsive' }],
+            team: { key: 'WEB' }
+        });
+
+        expect(prompt).toMatchSnapshot();
+    });
+});
+
+describe('getPromptProfile', () => {
+    it('resolves the default, then the team, then the project', () => {
+        const project = { id: 'project-1', name: 'Docs Portal' };
+
+        expect(getPromptProfile().name).toBe('next-tailwind');
+        expect(getPromptProfile('WEB').name).toBe('react-css-modules');
+        expect(getPromptProfile('WEB', project).name).toBe('vue');
+        expect(getPromptProfile(undefined, project).name).toBe('vue');
+        expect(getPromptProfile('WEB', { name: 'Marketing Site' }).name).toBe('react-css-modules');
+    });
+});
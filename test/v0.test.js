@@ -0,0 +1,38 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { afterAll, describe, expect, it } from 'vitest';
+
+const stateDir = mkdtempSync(path.join(tmpdir(), 'v0-test-'));
+process.env.CHAT_HISTORY_DIR = stateDir;
+process.env.V0_CLIENT_MODE = 'mock';
+
+const { configureLogger } = await import('../lib/logger.js');
+const { getChatHistoryStore } = await import('../lib/chat-history.js');
+const { getV0SessionFiles } = await import('../lib/v0.js');
+
+configureLogger({ stream: { write() {} } });
+
+describe('getV0SessionFiles', () => {
+    afterAll(() => rmSync(stateDir, { recursive: true, force: true }));
+
+    it('falls back to chat history for chats this client has not seen', async () => {
+        const store = getChatHistoryStore();
+        await store.createSession({ sessionId: 'sess-1', organizationId: 'org-1', issueId: 'iss-1', issueIdentifier: 'SYS-1' });
+        await store.appendIteration('sess-1', {
+            type: 'create',
+            prompt: 'Pricing card',
+            chatId: 'chat-from-another-process',
+            demoUrl: 'https://v0.dev/chat/x',
+            files: [{ path: 'components/pricing-card.tsx', content: 'export {}' }]
+        });
+
+        expect(await getV0SessionFiles('chat-from-another-process')).toEqual([
+            { path: 'components/pricing-card.tsx', content: 'export {}', language: 'typescript' }
+        ]);
+    });
+
+    it('fails for chats with no stored files', async () => {
+        await expect(getV0SessionFiles('unknown-chat')).rejects.toThrow('Failed to get files for session unknown-chat');
+    });
+});
@@ -0,0 +1,107 @@
+import { EventEmitter } from 'events';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { dedupeLinearWebhook, getWebhookDedupeStats } from '../middleware/webhook-dedupe.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ level: 'error' });
+
+// Keys are module-wide, so every test uses its own IDs
+let sequence = 0;
+const uniqueId = (prefix) => `${prefix}-${++sequence}`;
+
+const created = (sessionId) => ({ type: 'AgentSessionEvent', action: 'created', data: { agentSession: { id: sessionId } } });
+const prompted = (activityId) => ({ type: 'AgentSessionEvent', action: 'prompted', data: { agentActivity: { id: activityId } } });
+
+// Run the middleware; `finish(status)` completes the response like the route handler would
+function deliver(body, deliveryId = uniqueId('delivery')) {
+    const req = { headers: { 'linear-delivery': deliveryId }, body };
+    const res = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json: vi.fn()
+    });
+    const next = vi.fn();
+
+    dedupeLinearWebhook(req, res, next);
+
+    return {
+        passed: next.mock.calls.length === 1,
+        body: res.json.mock.calls[0]?.[0],
+        finish(status) {
+            res.statusCode = status;
+            res.emit('finish');
+        }
+    };
+}
+
+describe('dedupeLinearWebhook', () => {
+    afterEach(() => {
+        delete process.env.WEBHOOK_DEDUPE_TTL_MS;
+        vi.useRealTimers();
+    });
+
+    it('drops a redelivery with the same delivery ID', () => {
+        const deliveryId = uniqueId('delivery');
+        const before = getWebhookDedupeStats().duplicatesDropped;
+
+        expect(deliver({ type: 'Issue', action: 'update' }, deliveryId).passed).toBe(true);
+
+        const duplicate = deliver({ type: 'Issue', action: 'update' }, deliveryId);
+        expect(duplicate.passed).toBe(false);
+        expect(duplicate.body).toEqual({ received: true, duplicate: true });
+        expect(getWebhookDedupeStats().duplicatesDropped).toBe(before + 1);
+    });
+
+    it('drops a second created event for the same agent session under a new delivery ID', () => {
+        const sessionId = uniqueId('session');
+
+        expect(deliver(created(sessionId)).passed).toBe(true);
+        expect(deliver(created(sessionId)).passed).toBe(false);
+        expect(deliver(created(uniqueId('session'))).passed).toBe(true);
+    });
+
+    it('keys prompted events on the prompt activity', () => {
+        const activityId = uniqueId('activity');
+
+        expect(deliver(prompted(activityId)).passed).toBe(true);
+        expect(deliver(prompted(activityId)).passed).toBe(false);
+        expect(deliver(prompted(uniqueId('activity'))).passed).toBe(true);
+    });
+
+    it('releases the keys when processing fails with a 5xx', () => {
+        const sessionId = uniqueId('session');
+        const deliveryId = uniqueId('delivery');
+
+        deliver(created(sessionId), deliveryId).finish(500);
+
+        const retry = deliver(created(sessionId), deliveryId);
+        expect(retry.passed).toBe(true);
+
+        retry.finish(200);
+        expect(deliver(created(sessionId), deliveryId).passed).toBe(false);
+    });
+
+    it('keeps the keys after a 4xx', () => {
+        const sessionId = uniqueId('session');
+
+        deliver(created(sessionId)).finish(400);
+
+        expect(deliver(created(sessionId)).passed).toBe(false);
+    });
+
+    it('forgets keys after WEBHOOK_DEDUPE_TTL_MS', () => {
+        vi.useFakeTimers();
+        process.env.WEBHOOK_DEDUPE_TTL_MS = '1000';
+        const sessionId = uniqueId('session');
+
+        deliver(created(sessionId));
+        vi.advanceTimersByTime(999);
+        expect(deliver(created(sessionId)).passed).toBe(false);
+
+        vi.advanceTimersByTime(1);
+        expect(deliver(created(sessionId)).passed).toBe(true);
+    });
+});
@@ -0,0 +1,29 @@
+import { fileURLToPath } from 'url';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createWebhookReplay } from '../lib/webhook-replay.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ stream: { write() {} } });
+
+// Recorded deliveries and their <sessionId>.expected.json, refreshed with
+// `npm run replay-webhooks -- test/fixtures/webhook-recordings --update`
+const RECORDINGS_DIR = fileURLToPath(new URL('./fixtures/webhook-recordings', import.meta.url));
+
+const replay = await createWebhookReplay({ recordingsDir: RECORDINGS_DIR, timeoutMs: 30000 });
+
+describe('recorded webhook replays', () => {
+    beforeAll(() => replay.start(), 30000);
+
+    afterAll(() => replay.stop());
+
+    it('has recordings to replay', () => {
+        expect(replay.sessions.size).toBeGreaterThan(0);
+    });
+
+    it.each([...replay.sessions.keys()])('replays %s as recorded', async (sessionId) => {
+        const result = await replay.replay(sessionId);
+
+        expect(result.problems).toEqual([]);
+        expect(result.deliveries[0].activities[0].type).toBe('thought');
+    }, 60000);
+});
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import express from 'express';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { captureRawBody, verifyLinearSignature, verifyLinearWebhook } from '../middleware/webhook-verify.js';
+import { configureLogger } from '../lib/logger.js';
+
+configureLogger({ level: 'error' });
+
+// Recorded delivery: Linear's own formatting (whitespace, key order, escapes, non-ASCII)
+const FIXTURE = readFileSync(new URL('./fixtures/webhooks/agent-session-created.json', import.meta.url), 'utf8');
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// The fixture with a current timestamp, every other byte unchanged
+const freshBody = () => FIXTURE.replace(/"webhookTimestamp":\d+/, `"webhookTimestamp":${Date.now()}`);
+
+describe('verifyLinearSignature', () => {
+    it('signs the raw bytes, not the re-serialized payload', () => {
+        const signature = sign(FIXTURE, 'secret-a');
+
+        expect(verifyLinearSignature(Buffer.from(FIXTURE), signature, ['secret-a'])).toBe(true);
+        expect(verifyLinearSignature(JSON.stringify(JSON.parse(FIXTURE)), signature, ['secret-a'])).toBe(false);
+    });
+
+    it('accepts any of the rotated secrets', () => {
+        const secrets = ['secret-old', 'secret-new'];
+
+        expect(verifyLinearSignature(FIXTURE, sign(FIXTURE, 'secret-old'), secrets)).toBe(true);
+        expect(verifyLinearSignature(FIXTURE, sign(FIXTURE, 'secret-new'), secrets)).toBe(true);
+        expect(verifyLinearSignature(FIXTURE, sign(FIXTURE, 'secret-other'), secrets)).toBe(false);
+    });
+
+    it('rejects malformed signatures without throwing', () => {
+        for (const signature of [undefined, '', 'abc123', 'z'.repeat(64), `${sign(FIXTURE, 'secret-a')}00`]) {
+            expect(verifyLinearSignature(FIXTURE, signature, ['secret-a'])).toBe(false);
+        }
+    });
+});
+
+describe('verifyLinearWebhook', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json({ verify: captureRawBody }));
+        app.post('/webhook/linear', verifyLinearWebhook, (req, res) => res.json({ received: true }));
+
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        url = `http://127.0.0.1:${server.address().port}/webhook/linear`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => {
+        delete process.env.LINEAR_WEBHOOK_SECRET;
+    });
+
+    const post = (body, signature) => fetch(url, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            ...(signature !== undefined ? { 'linear-signature': signature } : {})
+        },
+        body
+    });
+
+    it('accepts the exact bytes Linear signed, with each rotated secret', async () => {
+        process.env.LINEAR_WEBHOOK_SECRET = 'secret-old, secret-new';
+        const body = freshBody();
+
+        expect((await post(body, sign(body, 'secret-old'))).status).toBe(200);
+        expect((await post(body, sign(body, 'secret-new'))).status).toBe(200);
+    });
+
+    it('rejects a body that was reformatted after signing', async () => {
+        process.env.LINEAR_WEBHOOK_SECRET = 'secret-a';
+        const body = freshBody();
+
+        expect((await post(JSON.stringify(JSON.parse(body)), sign(body, 'secret-a'))).status).toBe(401);
+    });
+
+    it.each([
+        ['missing', undefined],
+        ['empty', ''],
+        ['short', 'abc123'],
+        ['non-hex', 'z'.repeat(64)]
+    ])('returns 401 for a %s signature', async (_, signature) => {
+        process.env.LINEAR_WEBHOOK_SECRET = 'secret-a';
+        const response = await post(freshBody(), signature);
+
+        expect(response.status).toBe(401);
+        expect(await response.json()).toHaveProperty('error');
+    });
+
+    it('rejects a correctly signed but stale delivery', async () => {
+        process.env.LINEAR_WEBHOOK_SECRET = 'secret-a';
+        const response = await post(FIXTURE, sign(FIXTURE, 'secret-a'));
+
+        expect(response.status).toBe(401);
+        expect(await response.json()).toEqual({ error: 'Stale webhook timestamp' });
+    });
+});
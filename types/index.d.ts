@@ -8,6 +8,9 @@ export interface V0SessionContext {
   darkMode?: boolean;
   responsive?: boolean;
   accessibility?: boolean;
+  scope?: 'component' | 'page' | 'multi-page';
+  /** Design-system components referenced in the prompt (see config/design-system.json) */
+  designSystemComponents?: string[];
 }
 
 export interface V0SessionResponse {
@@ -27,6 +30,8 @@ export interface V0File {
   path: string;
   content: string;
   language: string;
+  /** V0's path, set once the file is mapped to the repository layout */
+  originalPath?: string;
 }
 
 export interface V0ChatMessage {
@@ -47,3 +52,83 @@ export interface LinearIssue {
     name: string;
   };
 }
+
+export interface IssueEligibility {
+  eligible: boolean;
+  reasons: string[];
+  complexity: number | null;
+  scope: 'component' | 'page' | 'multi-page' | null;
+  instructions: string | null;
+}
+
+export interface ElicitationQuestion {
+  id: string;
+  question: string;
+}
+
+export interface PromptAssessment {
+  sufficient: boolean;
+  missing: ElicitationQuestion[];
+}
+
+export type AgentPlanStepStatus = 'pending' | 'inProgress' | 'completed' | 'failed' | 'skipped' | 'stopped';
+
+export interface ChatHistoryIteration {
+  number: number;
+  type: 'create' | 'refine' | 'repair';
+  prompt: string;
+  chatId: string;
+  demoUrl: string;
+  files: V0File[];
+  /** Job that produced the iteration (null for iterations made outside the queue) */
+  jobId: string | null;
+  createdAt: string;
+}
+
+export interface ChatHistoryRecord {
+  sessionId: string;
+  organizationId: string | null;
+  issueId: string;
+  issueIdentifier: string | null;
+  chatId: string | null;
+  state: 'active' | 'awaitingInput' | 'complete' | 'error' | 'rejected' | 'stopped';
+  demoUrls: string[];
+  iterations: ChatHistoryIteration[];
+  plan: Record<string, AgentPlanStepStatus>;
+  linkedFrom?: string;
+  teamKey?: string | null;
+  project?: { id: string; name: string } | null;
+  eligibility?: IssueEligibility;
+  elicitation?: {
+    questions: ElicitationQuestion[];
+    answers: string | null;
+    askedAt: string;
+    answeredAt?: string;
+  };
+  pullRequest?: {
+    url: string;
+    number: number;
+    branch: string;
+    /** Files in the last commit, removed from the branch when V0 stops generating them */
+    paths: string[];
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ValidationFinding {
+  /** Repository path (after path mapping) */
+  path: string;
+  /** V0's path for the file, used in repair prompts */
+  originalPath: string;
+  line: number | null;
+  severity: 'error' | 'warning';
+  rule: 'syntax' | 'disallowed-import' | 'missing-use-client' | 'hardcoded-secret' | 'path-escape' | 'hardcoded-url';
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationFinding[];
+  warnings: ValidationFinding[];
+}